@@ -161,6 +161,7 @@ CREATE SERVICE IF NOT EXISTS sharepoint_sync_service
           POLL_INTERVAL_SECONDS: "300"
           RUN_ONCE: "false"
           SKIP_UNCHANGED: "true"
+          HEALTH_PORT: "8080"
         secrets:
         - snowflakeSecret:
             objectName: azure_tenant_id
@@ -209,6 +210,9 @@ CREATE SERVICE IF NOT EXISTS sharepoint_sync_service
           echo "$CERT_PRIVATE_KEY" > /tmp/sharepoint-worker.key && \
           chmod 600 /tmp/sharepoint-worker.key && \
           node src/index.js
+        readinessProbe:
+          port: 8080
+          path: /readyz
         resources:
           requests:
             cpu: 1
@@ -216,6 +220,10 @@ CREATE SERVICE IF NOT EXISTS sharepoint_sync_service
           limits:
             cpu: 2
             memory: 4Gi
+      endpoints:
+      - name: health
+        port: 8080
+        public: false
   $$
   EXTERNAL_ACCESS_INTEGRATIONS = (sharepoint_sync_external_access)
   MIN_INSTANCES = 1
@@ -1,34 +1,161 @@
 // src/auth.js
 import "dotenv/config";
+import crypto from "crypto";
 import fs from "fs";
+import forge from "node-forge";
 import * as msal from "@azure/msal-node";
+import { recordTokenResult } from "./metrics.js";
+
+export const AUTH_METHODS = ["certificate", "pfx", "secret", "federated", "managed-identity"];
 
 let cca; // singleton
+let mia; // singleton (managed identity)
 
-function getConfidentialClientApp() {
-  if (cca) return cca;
+// Secrets mounted as env vars often carry PEM line breaks as literal "\n"
+function readPem(value) {
+  return value.includes("-----BEGIN") ? value.replace(/\\n/g, "\n") : value;
+}
 
-  const tenantId = process.env.TENANT_ID;
-  const clientId = process.env.CLIENT_ID;
+/**
+ * Which credential to use: AUTH_METHOD if set, otherwise the first method
+ * whose settings are present
+ */
+function getAuthMethod() {
+  if (process.env.AUTH_METHOD) {
+    const method = process.env.AUTH_METHOD.toLowerCase();
+    if (!AUTH_METHODS.includes(method)) {
+      throw new Error(`Unknown AUTH_METHOD '${process.env.AUTH_METHOD}' (expected ${AUTH_METHODS.join(", ")})`);
+    }
+    return method;
+  }
+
+  if (process.env.CLIENT_SECRET) return "secret";
+  if (process.env.CERT_PFX_PATH || process.env.CERT_PFX) return "pfx";
+  if (process.env.CLIENT_ASSERTION || process.env.CLIENT_ASSERTION_FILE || process.env.AZURE_FEDERATED_TOKEN_FILE) {
+    return "federated";
+  }
+  return "certificate";
+}
+
+// Thumbprint (SHA-256) and PEM of a certificate, as MSAL sends them in the assertion header
+function describeCertificate(certificatePem) {
+  const certificate = new crypto.X509Certificate(certificatePem);
+  return {
+    thumbprintSha256: certificate.fingerprint256.replace(/:/g, ""),
+    x5c: certificate.toString()
+  };
+}
+
+/**
+ * PEM private key plus either the certificate (CERT_CERTIFICATE[_PATH]) or
+ * the legacy SHA-1 thumbprint (CERT_THUMBPRINT)
+ */
+function loadPemCertificate() {
   const keyPath = process.env.CERT_PRIVATE_KEY_PATH;
-  const thumbprint = process.env.CERT_THUMBPRINT;
+  const inlineKey = process.env.CERT_PRIVATE_KEY;
+  if (!keyPath && !inlineKey) {
+    throw new Error("CERT_PRIVATE_KEY_PATH or CERT_PRIVATE_KEY must be set in .env");
+  }
+
+  let privateKey = inlineKey ? readPem(inlineKey) : fs.readFileSync(keyPath, "utf8");
+  if (process.env.CERT_PRIVATE_KEY_PASSWORD) {
+    // MSAL cannot use an encrypted key; decrypt it once here
+    privateKey = crypto.createPrivateKey({ key: privateKey, passphrase: process.env.CERT_PRIVATE_KEY_PASSWORD })
+      .export({ type: "pkcs8", format: "pem" });
+  }
+
+  const certificatePem = process.env.CERT_CERTIFICATE
+    ? readPem(process.env.CERT_CERTIFICATE)
+    : process.env.CERT_CERTIFICATE_PATH && fs.readFileSync(process.env.CERT_CERTIFICATE_PATH, "utf8");
 
-  if (!tenantId || !clientId || !keyPath || !thumbprint) {
-    throw new Error(
-      "TENANT_ID, CLIENT_ID, CERT_PRIVATE_KEY_PATH, CERT_THUMBPRINT must be set in .env"
-    );
+  if (certificatePem) {
+    return { privateKey, ...describeCertificate(certificatePem) };
   }
+  if (!process.env.CERT_THUMBPRINT) {
+    throw new Error("CERT_THUMBPRINT or CERT_CERTIFICATE_PATH must be set in .env");
+  }
+  return { privateKey, thumbprint: process.env.CERT_THUMBPRINT.replace(/:/g, "") };
+}
 
-  const privateKey = fs.readFileSync(keyPath, "utf8");
+/**
+ * Private key and certificate from a PFX/PKCS#12 file (CERT_PFX_PATH) or
+ * its base64 contents (CERT_PFX), protected by CERT_PFX_PASSWORD
+ */
+function loadPfxCertificate() {
+  const pfx = process.env.CERT_PFX
+    ? Buffer.from(process.env.CERT_PFX, "base64")
+    : fs.readFileSync(process.env.CERT_PFX_PATH);
+
+  const p12 = forge.pkcs12.pkcs12FromAsn1(
+    forge.asn1.fromDer(forge.util.createBuffer(pfx.toString("binary"))),
+    process.env.CERT_PFX_PASSWORD || ""
+  );
+
+  const keyBag = [forge.pki.oids.pkcs8ShroudedKeyBag, forge.pki.oids.keyBag]
+    .flatMap(bagType => p12.getBags({ bagType })[bagType] || [])
+    .find(bag => bag.key);
+  if (!keyBag) {
+    throw new Error("The PFX file does not contain a private key");
+  }
+
+  // Prefer the certificate that belongs to the key; the file may also hold the CA chain
+  const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+  const keyId = keyBag.attributes.localKeyId?.[0];
+  const certBag = certBags.find(bag => keyId && bag.attributes.localKeyId?.[0] === keyId) || certBags[0];
+  if (!certBag) {
+    throw new Error("The PFX file does not contain a certificate");
+  }
+
+  return {
+    privateKey: forge.pki.privateKeyToPem(keyBag.key),
+    ...describeCertificate(forge.pki.certificateToPem(certBag.cert))
+  };
+}
+
+// Federated credential: a token issued by another identity provider (e.g. a
+// Kubernetes service account), re-read on every request because it rotates
+function getClientAssertion() {
+  if (process.env.CLIENT_ASSERTION) {
+    return process.env.CLIENT_ASSERTION;
+  }
+
+  const assertionFile = process.env.CLIENT_ASSERTION_FILE || process.env.AZURE_FEDERATED_TOKEN_FILE;
+  if (!assertionFile) {
+    throw new Error("CLIENT_ASSERTION, CLIENT_ASSERTION_FILE or AZURE_FEDERATED_TOKEN_FILE must be set in .env");
+  }
+  return async () => fs.readFileSync(assertionFile, "utf8").trim();
+}
+
+function getCredential(method) {
+  switch (method) {
+    case "secret":
+      if (!process.env.CLIENT_SECRET) throw new Error("CLIENT_SECRET must be set in .env");
+      return { clientSecret: process.env.CLIENT_SECRET };
+    case "pfx":
+      return { clientCertificate: loadPfxCertificate() };
+    case "federated":
+      return { clientAssertion: getClientAssertion() };
+    default:
+      return { clientCertificate: loadPemCertificate() };
+  }
+}
+
+function getConfidentialClientApp() {
+  if (cca) return cca;
+
+  // AZURE_* are set by workload identity webhooks
+  const tenantId = process.env.TENANT_ID || process.env.AZURE_TENANT_ID;
+  const clientId = process.env.CLIENT_ID || process.env.AZURE_CLIENT_ID;
+
+  if (!tenantId || !clientId) {
+    throw new Error("TENANT_ID and CLIENT_ID must be set in .env");
+  }
 
   const msalConfig = {
     auth: {
       clientId,
       authority: `https://login.microsoftonline.com/${tenantId}`,
-      clientCertificate: {
-        thumbprint,
-        privateKey
-      }
+      ...getCredential(getAuthMethod())
     }
   };
 
@@ -36,22 +163,83 @@ function getConfidentialClientApp() {
   return cca;
 }
 
-export async function getAccessToken() {
-  const siteUrl = process.env.SITE_URL;
+function getManagedIdentityApp() {
+  if (mia) return mia;
+
+  // System-assigned unless a user-assigned identity is named
+  const userAssignedClientId = process.env.MANAGED_IDENTITY_CLIENT_ID;
+  mia = new msal.ManagedIdentityApplication(
+    userAssignedClientId ? { managedIdentityIdParams: { userAssignedClientId } } : {}
+  );
+  return mia;
+}
+
+/**
+ * Token for a resource (e.g. https://tenant.sharepoint.com). MSAL keeps
+ * tokens in memory and only asks Entra ID again shortly before they expire.
+ * @param {object} options
+ * @param {boolean} [options.forceRefresh] - Skip the cache (e.g. after a 401)
+ */
+async function acquireToken(resource, options = {}) {
+  const forceRefresh = Boolean(options.forceRefresh);
+
+  let result;
+  try {
+    result = getAuthMethod() === "managed-identity"
+      ? await getManagedIdentityApp().acquireToken({ resource, forceRefresh })
+      // v2.0-style scope for the resource
+      : await getConfidentialClientApp().acquireTokenByClientCredential({ scopes: [`${resource}/.default`], forceRefresh });
+  } catch (err) {
+    recordTokenResult(err);
+    throw err;
+  }
+
+  recordTokenResult(result?.accessToken ? null : new Error(`No access token returned for ${resource}`));
+  return result?.accessToken;
+}
+
+export async function getAccessToken(siteUrl = process.env.SITE_URL, options = {}) {
   if (!siteUrl) throw new Error("SITE_URL must be set in .env");
 
   const sharepointOrigin = new URL(siteUrl).origin; // e.g. https://yourtenant.sharepoint.com
 
-  const clientApp = getConfidentialClientApp();
+  const accessToken = await acquireToken(sharepointOrigin, options);
+  if (!accessToken) {
+    throw new Error("Failed to acquire access token for SharePoint.");
+  }
+
+  return accessToken;
+}
 
-  const result = await clientApp.acquireTokenByClientCredential({
-    // v2.0-style scope for SharePoint
-    scopes: [`${sharepointOrigin}/.default`]
-  });
+// Graph endpoint; override for national clouds (e.g. https://graph.microsoft.us)
+export function getGraphBaseUrl() {
+  return (process.env.GRAPH_URL || "https://graph.microsoft.com").replace(/\/+$/, "");
+}
 
-  if (!result || !result.accessToken) {
-    throw new Error("Failed to acquire access token for SharePoint.");
+export async function getGraphAccessToken(options = {}) {
+  // App-only Graph permissions (e.g. Sites.Selected) come with the .default scope
+  const accessToken = await acquireToken(getGraphBaseUrl(), options);
+  if (!accessToken) {
+    throw new Error("Failed to acquire access token for Microsoft Graph.");
   }
 
-  return result.accessToken;
+  return accessToken;
+}
+
+/**
+ * Token provider for a SharePoint site. Pass it wherever a token is expected:
+ * it is called before every request, so a sync that outlives one token
+ * picks up the renewed one.
+ * @returns {(options?: {forceRefresh?: boolean}) => Promise<string>}
+ */
+export function getSharePointTokenProvider(siteUrl) {
+  return options => getAccessToken(siteUrl, options);
+}
+
+/**
+ * Token provider for Microsoft Graph (see getSharePointTokenProvider)
+ * @returns {(options?: {forceRefresh?: boolean}) => Promise<string>}
+ */
+export function getGraphTokenProvider() {
+  return options => getGraphAccessToken(options);
 }
@@ -0,0 +1,96 @@
+// src/batch.js
+import { uploadObject, deleteObject, getObjectUrl } from "./storage/index.js";
+import { logger } from "./logger.js";
+
+// Best effort: a file that cannot be removed is logged for manual cleanup
+async function removeFiles(files) {
+  for (const { key } of files) {
+    try {
+      await deleteObject(key);
+    } catch (err) {
+      logger.warn("Failed to remove the file of an incomplete part", { url: getObjectUrl(key), error: err });
+    }
+  }
+}
+
+/**
+ * Buffers records (rows, change events) and uploads them as numbered part
+ * files. Subclasses implement `encodePart(records, part)`, which returns the
+ * files of one part as `{key, body, contentType, options, entry, log}`:
+ * `entry` is appended to `files` once the whole part is uploaded, and `log`
+ * holds extra fields for the debug log line.
+ *
+ * A part that fails is undone: its files that did upload are removed and the
+ * records go back into the buffer, to be written by the next flush under a
+ * new part number.
+ */
+export class PartWriter {
+  /**
+   * @param {Array<object>} files - Parts written so far, kept in the sync progress; numbering continues after them
+   * @param {number} maxRecords - Records per part
+   * @param {string} uploadMessage - Debug log message for each uploaded file
+   */
+  constructor(files, maxRecords, uploadMessage) {
+    this.files = files;
+    this.maxRecords = maxRecords;
+    this.uploadMessage = uploadMessage;
+    this.records = [];
+    this.pending = new Set();
+    this.nextPart = files.reduce((max, file) => Math.max(max, file.part + 1), 0);
+  }
+
+  /**
+   * Buffer a record; a full buffer is uploaded as a part first. The record
+   * is only buffered once that upload succeeded, so when push() throws the
+   * caller's record is not written by a later flush.
+   */
+  async push(record) {
+    if (this.records.length >= this.maxRecords) {
+      await this.flush();
+    }
+    this.records.push(record);
+  }
+
+  /**
+   * Upload the buffered records and wait for every upload still in flight
+   */
+  async flush() {
+    // Take the buffer synchronously so records added while uploading go to the next part
+    const records = this.records;
+    this.records = [];
+
+    if (records.length > 0) {
+      const part = this.nextPart++;
+      const upload = this.writePart(records, part);
+      this.pending.add(upload);
+      upload.finally(() => this.pending.delete(upload)).catch(() => {});
+    }
+
+    await Promise.all(this.pending);
+  }
+
+  async writePart(records, part) {
+    const uploaded = [];
+
+    try {
+      // Encode the whole part before uploading any of it, so a record that cannot be encoded leaves nothing behind
+      const files = this.encodePart(records, part);
+
+      for (const file of files) {
+        await uploadObject(file.key, file.body, file.contentType, file.options);
+        uploaded.push(file);
+        logger.debug(this.uploadMessage, { ...file.log, url: getObjectUrl(file.key) });
+      }
+    } catch (err) {
+      // The records are written again under a new part number; files of this
+      // part that did upload would duplicate them for anything loading the prefix
+      await removeFiles(uploaded);
+      // Put the records back so the next flush (or checkpoint) does not lose them
+      this.records.unshift(...records);
+      throw err;
+    }
+
+    // Only record complete parts, so a checkpoint never lists half of one
+    this.files.push(...uploaded.map(file => file.entry));
+  }
+}
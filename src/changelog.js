@@ -0,0 +1,90 @@
+// src/changelog.js
+import { PartWriter } from "./batch.js";
+
+/**
+ * Append-only change log: one event per insert, update or delete, written
+ * as NDJSON files under a dedicated prefix so they can be loaded and
+ * MERGEd without listing the item folders:
+ *
+ *   list=LIST/_changes/dt=YYYY-MM-DD/run-RUN_ID-part-00000.ndjson
+ *
+ * Sequence numbers continue from `progress.lastSequence`, which is saved
+ * with every checkpoint and carried into sync_state.json, so they keep
+ * increasing across runs. Each uploaded part also saves its last sequence
+ * number to `_state/change_sequence.json`, so a sync that stops between
+ * checkpoints never hands out the same numbers again. Written files are
+ * appended to `progress.changeFiles`.
+ */
+export class ChangeLogWriter extends PartWriter {
+  /**
+   * @param {object} target
+   * @param {object} progress - Sync progress
+   * @param {StateTracker} stateTracker - Saves the sequence number of every uploaded part
+   */
+  constructor(target, progress, stateTracker) {
+    if (!progress.changeFiles) {
+      progress.changeFiles = [];
+    }
+    super(progress.changeFiles, target.batchMaxRows, "Uploaded change events");
+
+    this.target = target;
+    this.progress = progress;
+    this.stateTracker = stateTracker;
+    this.changesPrefix = `${target.s3Prefix}list=${target.listName}/_changes/`;
+    this.partition = `dt=${progress.startedAt.slice(0, 10)}`;
+  }
+
+  get enabled() {
+    return this.target.changeLog;
+  }
+
+  /**
+   * Append an event for one item
+   * @param {'insert'|'update'|'delete'} operation
+   * @param {object} change
+   * @param {number} change.itemId
+   * @param {string|null} change.modifiedBefore - Modified recorded by the previous sync
+   * @param {string|null} change.modifiedAfter - Modified seen in this sync (null for deletes)
+   * @param {string|null} [change.rowHash] - Hash of the row fields
+   * @param {object|null} [change.data] - Row fields (null for deletes)
+   */
+  async add(operation, change) {
+    if (!this.enabled) return;
+
+    await this.push({
+      sequence: ++this.progress.lastSequence,
+      run_id: this.progress.runId,
+      list_name: this.target.listName,
+      item_id: change.itemId,
+      operation,
+      modified_before: change.modifiedBefore ?? null,
+      modified_after: change.modifiedAfter ?? null,
+      row_hash: change.rowHash ?? null,
+      event_time: new Date().toISOString(),
+      data: change.data ?? null
+    });
+  }
+
+  async writePart(events, part) {
+    await super.writePart(events, part);
+    await this.stateTracker.saveSequence(events[events.length - 1].sequence);
+  }
+
+  // One NDJSON file per part
+  encodePart(events, part) {
+    const key = `${this.changesPrefix}${this.partition}/run-${this.progress.runId}-part-${String(part).padStart(5, "0")}.ndjson`;
+    return [{
+      key,
+      body: Buffer.from(events.map(event => JSON.stringify(event)).join("\n") + "\n"),
+      contentType: "application/x-ndjson",
+      entry: {
+        part,
+        key,
+        event_count: events.length,
+        first_sequence: events[0].sequence,
+        last_sequence: events[events.length - 1].sequence
+      },
+      log: { events: events.length }
+    }];
+  }
+}
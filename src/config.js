@@ -0,0 +1,361 @@
+// src/config.js
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+
+// "item" is the per-item row.json layout; the others are batch files (see output.js)
+const OUTPUT_FORMATS = ["item", "ndjson", "ndjson.gz", "parquet"];
+
+/**
+ * Read the raw config file (JSON or YAML, chosen by extension)
+ * @param {string} configPath - Path to the config file
+ * @returns {object}
+ */
+function readConfigFile(configPath) {
+  const raw = fs.readFileSync(configPath, "utf8");
+  const ext = path.extname(configPath).toLowerCase();
+
+  if (ext === ".yaml" || ext === ".yml") {
+    return YAML.parse(raw) || {};
+  }
+  return JSON.parse(raw);
+}
+
+function parseBoolean(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  if (typeof value === "boolean") return value;
+  return String(value).toLowerCase() === "true";
+}
+
+function parsePositiveInt(value, name, listName) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw new Error(`Target '${listName}': ${name} must be a positive number`);
+  }
+  return parsed;
+}
+
+function parseNonNegativeNumber(value, name, listName) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    throw new Error(`Target '${listName}': ${name} must be zero or a positive number`);
+  }
+  return parsed;
+}
+
+function parseOutputFormats(value, listName) {
+  const formats = (Array.isArray(value) ? value : String(value).split(","))
+    .map(format => String(format).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (formats.length === 0) {
+    throw new Error(`Target '${listName}': outputFormats must name at least one format`);
+  }
+  for (const format of formats) {
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Target '${listName}': unknown output format '${format}' (expected ${OUTPUT_FORMATS.join(", ")})`);
+    }
+  }
+  return [...new Set(formats)];
+}
+
+function parseSelect(value) {
+  if (!value) return null;
+  const fields = Array.isArray(value) ? value : String(value).split(",");
+  const trimmed = fields.map(f => String(f).trim()).filter(Boolean);
+  if (trimmed.length === 0) return null;
+
+  // Id and Modified are always needed for state tracking
+  for (const required of ["Id", "Modified"]) {
+    if (!trimmed.includes(required)) trimmed.push(required);
+  }
+  return trimmed;
+}
+
+function parseFieldList(value) {
+  if (!value) return null;
+  const fields = (Array.isArray(value) ? value : String(value).split(","))
+    .map(f => String(f).trim())
+    .filter(Boolean);
+  return fields.length > 0 ? [...new Set(fields)] : null;
+}
+
+// Each field may appear in one field rule only
+function validateFieldRules(rules, listName) {
+  const seen = new Map();
+  for (const [rule, fields] of Object.entries(rules)) {
+    for (const field of fields || []) {
+      if (seen.has(field)) {
+        throw new Error(`Target '${listName}': field '${field}' is in both ${seen.get(field)} and ${rule}`);
+      }
+      seen.set(field, rule);
+    }
+  }
+}
+
+// Object tag/metadata templates: a map, or "key=template,key=template" from env
+function parseTemplates(value, name, listName) {
+  if (!value) return {};
+  const entries = typeof value === "object"
+    ? Object.entries(value)
+    : String(value).split(",").filter(pair => pair.trim()).map(pair => {
+      const eq = pair.indexOf("=");
+      if (eq < 1) {
+        throw new Error(`Target '${listName}': ${name} entries must look like key=template`);
+      }
+      return [pair.slice(0, eq), pair.slice(eq + 1)];
+    });
+  return Object.fromEntries(entries.map(([key, template]) => [String(key).trim(), String(template ?? "").trim()]));
+}
+
+/**
+ * Defaults shared by every target, taken from env so a single-list
+ * deployment keeps working without a config file
+ */
+function getEnvDefaults() {
+  return {
+    siteUrl: process.env.SITE_URL,
+    s3Prefix: process.env.S3_PREFIX || "",
+    pollIntervalSeconds: process.env.POLL_INTERVAL_SECONDS || "300",
+    skipUnchanged: process.env.SKIP_UNCHANGED,
+    select: process.env.SELECT_FIELDS,
+    filter: process.env.LIST_FILTER,
+    includeFields: process.env.INCLUDE_FIELDS,
+    excludeFields: process.env.EXCLUDE_FIELDS,
+    maskFields: process.env.MASK_FIELDS,
+    hashFields: process.env.HASH_FIELDS,
+    hashSalt: process.env.FIELD_HASH_SALT,
+    objectTags: process.env.OBJECT_TAGS,
+    objectMetadata: process.env.OBJECT_METADATA,
+    syncMode: process.env.SYNC_MODE || "full",
+    api: process.env.LIST_API || "rest",
+    type: process.env.LIST_TYPE || "list",
+    fullSyncIntervalHours: process.env.FULL_SYNC_INTERVAL_HOURS || "24",
+    itemConcurrency: process.env.ITEM_CONCURRENCY || "4",
+    attachmentConcurrency: process.env.ATTACHMENT_CONCURRENCY || "2",
+    checkpointIntervalSeconds: process.env.CHECKPOINT_INTERVAL_SECONDS || "60",
+    partSizeMB: process.env.MULTIPART_PART_SIZE_MB || "8",
+    maxAttachmentSizeMB: process.env.MAX_ATTACHMENT_SIZE_MB || "0",
+    extractText: process.env.EXTRACT_TEXT,
+    extractMaxSizeMB: process.env.EXTRACT_MAX_SIZE_MB || "50",
+    staleUploadCleanupHours: process.env.STALE_UPLOAD_CLEANUP_HOURS || "24",
+    outputFormats: process.env.OUTPUT_FORMATS || "item",
+    batchMaxRows: process.env.BATCH_MAX_ROWS || "50000",
+    changeLog: process.env.CHANGE_LOG,
+    normalize: process.env.NORMALIZE_ROWS,
+    versionHistory: process.env.VERSION_HISTORY,
+    maxDeletes: process.env.MAX_DELETES || "0",
+    maxDeletePercent: process.env.MAX_DELETE_PERCENT || "0",
+    recheckDeletes: process.env.RECHECK_DELETES,
+    lockLeaseSeconds: process.env.LOCK_LEASE_SECONDS || "300"
+  };
+}
+
+/**
+ * Merge a target entry with the defaults and validate it
+ * @param {object} entry - Target entry from the config file
+ * @param {object} defaults - Defaults (env + config file `defaults` block)
+ * @param {number} index - Position in the targets list (for error messages)
+ */
+function normalizeTarget(entry, defaults, index) {
+  const merged = { ...defaults, ...entry };
+
+  if (!merged.siteUrl || !merged.listName) {
+    throw new Error(`Target #${index + 1}: siteUrl and listName must be set`);
+  }
+
+  const pollIntervalSeconds = parsePositiveInt(merged.pollIntervalSeconds, "pollIntervalSeconds", merged.listName);
+
+  const syncMode = String(merged.syncMode).toLowerCase();
+  if (syncMode !== "full" && syncMode !== "delta") {
+    throw new Error(`Target '${merged.listName}': syncMode must be 'full' or 'delta'`);
+  }
+
+  const api = String(merged.api).toLowerCase();
+  if (api !== "rest" && api !== "graph") {
+    throw new Error(`Target '${merged.listName}': api must be 'rest' or 'graph'`);
+  }
+
+  const type = String(merged.type).toLowerCase();
+  if (type !== "list" && type !== "library") {
+    throw new Error(`Target '${merged.listName}': type must be 'list' or 'library'`);
+  }
+  // Libraries are walked folder by folder through REST on every sync
+  if (type === "library" && (syncMode !== "full" || api !== "rest")) {
+    throw new Error(`Target '${merged.listName}': library targets need syncMode 'full' and api 'rest'`);
+  }
+  // Graph does not expand lookups, so normalized lookup and person columns would be empty
+  const normalize = parseBoolean(merged.normalize, false);
+  if (normalize && api !== "rest") {
+    throw new Error(`Target '${merged.listName}': normalize needs api 'rest'`);
+  }
+
+  const fullSyncIntervalHours = parseNonNegativeNumber(merged.fullSyncIntervalHours, "fullSyncIntervalHours", merged.listName);
+
+  const maxDeletePercent = parseNonNegativeNumber(merged.maxDeletePercent, "maxDeletePercent", merged.listName);
+  if (maxDeletePercent > 100) {
+    throw new Error(`Target '${merged.listName}': maxDeletePercent must be between 0 and 100`);
+  }
+
+  const fieldRules = {
+    excludeFields: parseFieldList(merged.excludeFields),
+    maskFields: parseFieldList(merged.maskFields),
+    hashFields: parseFieldList(merged.hashFields)
+  };
+  validateFieldRules(fieldRules, merged.listName);
+  if (fieldRules.hashFields && !merged.hashSalt) {
+    throw new Error(`Target '${merged.listName}': hashFields needs a hashSalt (FIELD_HASH_SALT)`);
+  }
+
+  // S3 allows 10 tags per object and metadata keys that are valid header names
+  const objectTags = parseTemplates(merged.objectTags, "objectTags", merged.listName);
+  if (Object.keys(objectTags).length > 10) {
+    throw new Error(`Target '${merged.listName}': objectTags allows at most 10 tags`);
+  }
+  const objectMetadata = parseTemplates(merged.objectMetadata, "objectMetadata", merged.listName);
+  for (const key of Object.keys(objectMetadata)) {
+    if (!/^[A-Za-z0-9_-]+$/.test(key)) {
+      throw new Error(`Target '${merged.listName}': objectMetadata key '${key}' may only contain letters, digits, '-' and '_'`);
+    }
+  }
+
+  // The folder walk of a library cannot be filtered server-side
+  const filter = merged.filter ? String(merged.filter).trim() : null;
+  if (filter && type === "library") {
+    throw new Error(`Target '${merged.listName}': filter is not supported for library targets`);
+  }
+
+  // S3 rejects multipart parts smaller than 5 MiB
+  const partSizeMB = Number(merged.partSizeMB);
+  if (!Number.isFinite(partSizeMB) || partSizeMB < 5) {
+    throw new Error(`Target '${merged.listName}': partSizeMB must be at least 5`);
+  }
+
+  return {
+    name: merged.name || merged.listName,
+    siteUrl: merged.siteUrl.replace(/\/+$/, ""),
+    listName: merged.listName,
+    s3Prefix: merged.s3Prefix || "",
+    pollIntervalSeconds,
+    skipUnchanged: parseBoolean(merged.skipUnchanged, false),
+    select: parseSelect(merged.select),
+    filter,
+    includeFields: parseFieldList(merged.includeFields),
+    ...fieldRules,
+    hashSalt: merged.hashSalt ? String(merged.hashSalt) : null,
+    objectTags,
+    objectMetadata,
+    syncMode,
+    api,
+    type,
+    fullSyncIntervalHours,
+    itemConcurrency: parsePositiveInt(merged.itemConcurrency, "itemConcurrency", merged.listName),
+    attachmentConcurrency: parsePositiveInt(merged.attachmentConcurrency, "attachmentConcurrency", merged.listName),
+    checkpointIntervalSeconds: parsePositiveInt(merged.checkpointIntervalSeconds, "checkpointIntervalSeconds", merged.listName),
+    partSizeMB,
+    maxAttachmentSizeMB: parseNonNegativeNumber(merged.maxAttachmentSizeMB, "maxAttachmentSizeMB", merged.listName),
+    extractText: parseBoolean(merged.extractText, false),
+    extractMaxSizeMB: parseNonNegativeNumber(merged.extractMaxSizeMB, "extractMaxSizeMB", merged.listName),
+    staleUploadCleanupHours: parseNonNegativeNumber(merged.staleUploadCleanupHours, "staleUploadCleanupHours", merged.listName),
+    outputFormats: parseOutputFormats(merged.outputFormats, merged.listName),
+    batchMaxRows: parsePositiveInt(merged.batchMaxRows, "batchMaxRows", merged.listName),
+    changeLog: parseBoolean(merged.changeLog, false),
+    normalize,
+    versionHistory: parseBoolean(merged.versionHistory, false),
+    maxDeletes: parseNonNegativeNumber(merged.maxDeletes, "maxDeletes", merged.listName),
+    maxDeletePercent,
+    recheckDeletes: parseBoolean(merged.recheckDeletes, true),
+    lockLeaseSeconds: parseNonNegativeNumber(merged.lockLeaseSeconds, "lockLeaseSeconds", merged.listName)
+  };
+}
+
+/**
+ * Load the storage backend settings: env, overridden by the config file's
+ * `storage` block when CONFIG_PATH is set
+ * @returns {object} `backend` plus the settings of that backend
+ */
+export function loadStorageConfig() {
+  const fromEnv = {
+    backend: process.env.STORAGE_BACKEND || "s3",
+    // s3
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    serverSideEncryption: process.env.S3_SSE,
+    kmsKeyId: process.env.S3_SSE_KMS_KEY_ID,
+    bucketKeyEnabled: process.env.S3_BUCKET_KEY_ENABLED,
+    rowStorageClass: process.env.S3_ROW_STORAGE_CLASS,
+    attachmentStorageClass: process.env.S3_ATTACHMENT_STORAGE_CLASS,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE,
+    // local
+    path: process.env.LOCAL_STORAGE_PATH,
+    // azure
+    container: process.env.AZURE_STORAGE_CONTAINER,
+    connectionString: process.env.AZURE_STORAGE_CONNECTION_STRING,
+    account: process.env.AZURE_STORAGE_ACCOUNT,
+    accountKey: process.env.AZURE_STORAGE_KEY,
+    sasToken: process.env.AZURE_STORAGE_SAS_TOKEN,
+    // gcs
+    projectId: process.env.GCS_PROJECT_ID,
+    keyFile: process.env.GCS_KEY_FILE,
+    endpoint: process.env.STORAGE_ENDPOINT
+  };
+
+  const configPath = process.env.CONFIG_PATH;
+  const fromFile = configPath ? readConfigFile(configPath).storage || {} : {};
+  const config = { ...fromEnv, ...fromFile };
+  config.backend = String(config.backend).toLowerCase();
+  config.bucketKeyEnabled = parseBoolean(config.bucketKeyEnabled, false);
+  config.forcePathStyle = parseBoolean(config.forcePathStyle, false);
+  // S3 and GCS both use `bucket`; take it from the env var of the chosen backend
+  if (!config.bucket) {
+    config.bucket = config.backend === "gcs" ? process.env.GCS_BUCKET : process.env.S3_BUCKET;
+  }
+  return config;
+}
+
+/**
+ * Load the list of sync targets.
+ *
+ * When CONFIG_PATH is set the targets come from that file, otherwise a
+ * single target is built from SITE_URL / LIST_NAME.
+ * @returns {Array<object>} Normalized targets
+ */
+export function loadTargets() {
+  const envDefaults = getEnvDefaults();
+  const configPath = process.env.CONFIG_PATH;
+
+  if (!configPath) {
+    if (!process.env.SITE_URL || !process.env.LIST_NAME) {
+      throw new Error("SITE_URL and LIST_NAME (or CONFIG_PATH) must be set in .env");
+    }
+    return [normalizeTarget({ listName: process.env.LIST_NAME }, envDefaults, 0)];
+  }
+
+  const config = readConfigFile(configPath);
+  const entries = config.targets || [];
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`No targets defined in ${configPath}`);
+  }
+
+  const defaults = { ...envDefaults, ...(config.defaults || {}) };
+  const targets = entries.map((entry, index) => normalizeTarget(entry, defaults, index));
+
+  // Each target owns its own state file, so names and S3 locations must not collide
+  const seenNames = new Set();
+  const seenLocations = new Set();
+  for (const target of targets) {
+    const location = `${target.s3Prefix}list=${target.listName}`;
+    if (seenNames.has(target.name)) {
+      throw new Error(`Duplicate target name '${target.name}' in ${configPath}`);
+    }
+    if (seenLocations.has(location)) {
+      throw new Error(`Targets share the same S3 location '${location}' in ${configPath}`);
+    }
+    seenNames.add(target.name);
+    seenLocations.add(location);
+  }
+
+  return targets;
+}
@@ -0,0 +1,443 @@
+// src/ddl.js
+import { uploadJSON, uploadObject, downloadObject, objectExists, getStorage } from "./storage/index.js";
+import { getColumnRule } from "./fields.js";
+
+// Columns every typed table carries next to the list columns
+const META_COLUMNS = [
+  { identifier: "ITEM_ID", sqlType: "NUMBER(38,0) NOT NULL" },
+  { identifier: "_OPERATION_TYPE", sqlType: "VARCHAR" },
+  { identifier: "_SYNCED_AT", sqlType: "TIMESTAMP_TZ" },
+  { identifier: "_ATTACHMENT_COUNT", sqlType: "NUMBER(38,0)" }
+];
+
+// Schema column type -> Snowflake type and the expression that extracts it from the row VARIANT
+const SQL_TYPES = {
+  string: { sqlType: "VARCHAR", cast: expr => `${expr}::VARCHAR` },
+  choice: { sqlType: "VARCHAR", cast: expr => `${expr}::VARCHAR` },
+  integer: { sqlType: "NUMBER(38,0)", cast: expr => `TRY_TO_NUMBER(${expr}::VARCHAR)` },
+  number: { sqlType: "FLOAT", cast: expr => `TRY_TO_DOUBLE(${expr}::VARCHAR)` },
+  boolean: { sqlType: "BOOLEAN", cast: expr => `TRY_TO_BOOLEAN(${expr}::VARCHAR)` },
+  datetime: { sqlType: "TIMESTAMP_TZ", cast: expr => `TRY_TO_TIMESTAMP_TZ(${expr}::VARCHAR)` },
+  multichoice: { sqlType: "ARRAY", cast: expr => `${expr}::ARRAY` }
+};
+const VARIANT_TYPE = { sqlType: "VARIANT", cast: expr => expr };
+
+function toIdentifier(name) {
+  const identifier = String(name).trim().replace(/[^A-Za-z0-9_]+/g, "_").replace(/^_+|_+$/g, "").toUpperCase();
+  if (!identifier) return null;
+  return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier;
+}
+
+function quoteString(value) {
+  return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "''")}'`;
+}
+
+function getDdlStateKey(target) {
+  return `${target.s3Prefix}list=${target.listName}/_schema/ddl_state.json`;
+}
+
+/**
+ * Names of the Snowflake objects for a target, derived from the target name
+ */
+export function getObjectNames(target) {
+  const base = `SP_${toIdentifier(target.name) || "LIST"}`;
+  return {
+    base,
+    fileFormat: `${base}_JSON_FORMAT`,
+    stage: `${base}_STAGE`,
+    raw: `${base}_RAW`,
+    rawStream: `${base}_RAW_STREAM`,
+    rowsPipe: `${base}_ROWS_PIPE`,
+    attachmentsRaw: `${base}_ATTACHMENTS_RAW`,
+    attachmentsStream: `${base}_ATTACHMENTS_RAW_STREAM`,
+    attachmentsPipe: `${base}_ATTACHMENTS_PIPE`,
+    table: base,
+    attachments: `${base}_ATTACHMENTS`,
+    procedure: `${base}_APPLY_CHANGES`,
+    task: `${base}_APPLY_TASK`
+  };
+}
+
+/**
+ * Map schema columns to typed table columns. Column names come from the
+ * display names; rows keep display names only when normalized, otherwise
+ * values are read from the REST property (lookups from their `<Field>Id`).
+ * Columns dropped by the target's field rules are left out.
+ * @returns {Array<{identifier: string, sqlType: string, key: string, type: string, internalName: string}>}
+ */
+export function getColumnMappings(schema, target) {
+  const used = new Set(META_COLUMNS.map(column => column.identifier));
+
+  const columns = [];
+  for (const column of schema.columns) {
+    // Dropped fields never reach the rows; masked and hashed ones are text
+    const rule = getColumnRule(target, column);
+    if (rule === "exclude") continue;
+    const type = rule ? "string" : column.type;
+
+    let base = toIdentifier(column.name) || toIdentifier(column.internal_name) || "COLUMN";
+    let identifier = base;
+    for (let n = 2; used.has(identifier); n++) {
+      identifier = `${base}_${n}`;
+    }
+    used.add(identifier);
+
+    let key = column.name;
+    if (!target.normalize) {
+      key = column.type === "lookup" || column.type === "user" ? `${column.property}Id` : column.property;
+    }
+
+    columns.push({
+      identifier,
+      sqlType: (SQL_TYPES[type] || VARIANT_TYPE).sqlType,
+      key,
+      type,
+      internalName: column.internal_name
+    });
+  }
+  return columns;
+}
+
+function getValueExpression(mapping, source) {
+  const { cast } = SQL_TYPES[mapping.type] || VARIANT_TYPE;
+  return cast(`${source}[${quoteString(mapping.key)}]`);
+}
+
+function getTableColumns(mappings) {
+  return [...META_COLUMNS, ...mappings].map(column => `  ${column.identifier} ${column.sqlType}`).join(",\n");
+}
+
+function getMergeStatement(names, mappings) {
+  const assignments = mappings.map(m => `${m.identifier} = ${getValueExpression(m, "S.DATA")}`);
+  const metaAssignments = [
+    "_OPERATION_TYPE = S.OPERATION_TYPE",
+    "_SYNCED_AT = S.SYNCED_AT",
+    "_ATTACHMENT_COUNT = S.DATA:_sync_metadata.attachment_count::NUMBER"
+  ];
+  const insertColumns = [...META_COLUMNS.map(column => column.identifier), ...mappings.map(m => m.identifier)];
+  const insertValues = [
+    "S.ITEM_ID",
+    "S.OPERATION_TYPE",
+    "S.SYNCED_AT",
+    "S.DATA:_sync_metadata.attachment_count::NUMBER",
+    ...mappings.map(m => getValueExpression(m, "S.DATA"))
+  ];
+
+  return `MERGE INTO ${names.table} T
+  USING (
+    SELECT * FROM ${names.rawStream}
+    WHERE METADATA$ACTION = 'INSERT'
+    QUALIFY ROW_NUMBER() OVER (PARTITION BY ITEM_ID ORDER BY SYNCED_AT DESC, SOURCE_FILE DESC) = 1
+  ) S
+  ON T.ITEM_ID = S.ITEM_ID
+  WHEN MATCHED AND S.OPERATION_TYPE = 'delete' THEN DELETE
+  WHEN MATCHED AND S.SYNCED_AT >= T._SYNCED_AT THEN UPDATE SET
+    ${[...metaAssignments, ...assignments].join(",\n    ")}
+  WHEN NOT MATCHED AND S.OPERATION_TYPE <> 'delete' THEN INSERT (
+    ${insertColumns.join(", ")}
+  ) VALUES (
+    ${insertValues.join(",\n    ")}
+  )`;
+}
+
+// S3 notifies the pipe's SQS queue directly; Azure and GCS events arrive through a notification integration
+function getAutoIngest(backend) {
+  if (backend === "s3") {
+    return { clause: "AUTO_INGEST = TRUE", note: "needs S3 event notifications to the pipe's SQS queue" };
+  }
+
+  const notificationIntegration = process.env.SNOWFLAKE_NOTIFICATION_INTEGRATION;
+  if (notificationIntegration) {
+    return {
+      clause: `AUTO_INGEST = TRUE\n  INTEGRATION = ${quoteString(notificationIntegration)}`,
+      note: `events from notification integration ${notificationIntegration}`
+    };
+  }
+  return {
+    clause: "AUTO_INGEST = FALSE",
+    note: "no SNOWFLAKE_NOTIFICATION_INTEGRATION, load with ALTER PIPE ... REFRESH"
+  };
+}
+
+/**
+ * Full set of objects for a target. Everything is created only when
+ * missing, except the procedure and task, which are replaced so they
+ * always match the current columns.
+ * @returns {Array<{comment: string, sql: string}>}
+ */
+export function generateSetup(target, schema, mappings, options = {}) {
+  const names = getObjectNames(target);
+  const storage = getStorage();
+  const storageIntegration = process.env.SNOWFLAKE_STORAGE_INTEGRATION;
+  if (!storageIntegration) {
+    throw new Error("SNOWFLAKE_STORAGE_INTEGRATION must be set in .env");
+  }
+  const stageUrl = storage.getStageUrl(`${target.s3Prefix}list=${target.listName}/`);
+  if (!stageUrl) {
+    throw new Error(`Storage backend '${storage.name}' cannot be used as a Snowflake stage`);
+  }
+  const autoIngest = getAutoIngest(storage.name);
+  const itemIdFromPath = "REGEXP_SUBSTR(METADATA$FILENAME, 'item_id=([0-9]+)/', 1, 1, 'e')::NUMBER";
+
+  const statements = [
+    {
+      comment: "File format for row.json, deletion_marker.json and attachments_meta.json",
+      sql: `CREATE FILE FORMAT IF NOT EXISTS ${names.fileFormat}
+  TYPE = JSON`
+    },
+    {
+      comment: `External stage over ${stageUrl}`,
+      sql: `CREATE STAGE IF NOT EXISTS ${names.stage}
+  URL = ${quoteString(stageUrl)}
+  STORAGE_INTEGRATION = ${storageIntegration}
+  FILE_FORMAT = (FORMAT_NAME = ${names.fileFormat})`
+    },
+    {
+      comment: "Raw table: every row.json and deletion marker as loaded",
+      sql: `CREATE TABLE IF NOT EXISTS ${names.raw} (
+  ITEM_ID NUMBER(38,0),
+  OPERATION_TYPE VARCHAR,
+  SYNCED_AT TIMESTAMP_TZ,
+  DATA VARIANT,
+  SOURCE_FILE VARCHAR,
+  LOADED_AT TIMESTAMP_LTZ DEFAULT CURRENT_TIMESTAMP()
+)`
+    },
+    {
+      comment: "Raw table: every attachments_meta.json as loaded",
+      sql: `CREATE TABLE IF NOT EXISTS ${names.attachmentsRaw} (
+  ITEM_ID NUMBER(38,0),
+  ATTACHMENTS VARIANT,
+  SOURCE_FILE VARCHAR,
+  LOADED_AT TIMESTAMP_LTZ DEFAULT CURRENT_TIMESTAMP()
+)`
+    },
+    {
+      comment: `Typed table with one row per list item (schema version ${schema.version})`,
+      sql: `CREATE TABLE IF NOT EXISTS ${names.table} (
+${getTableColumns(mappings)},
+  PRIMARY KEY (ITEM_ID)
+)`
+    },
+    {
+      comment: "Attachments flattened from attachments_meta.json",
+      sql: `CREATE TABLE IF NOT EXISTS ${names.attachments} (
+  ITEM_ID NUMBER(38,0) NOT NULL,
+  FILE_NAME VARCHAR,
+  SAFE_FILE_NAME VARCHAR,
+  S3_KEY VARCHAR,
+  S3_URL VARCHAR,
+  DOWNLOAD_URL VARCHAR,
+  SIZE_BYTES NUMBER(38,0),
+  ETAG VARCHAR,
+  SKIPPED BOOLEAN,
+  SKIP_REASON VARCHAR,
+  LOADED_AT TIMESTAMP_LTZ
+)`
+    },
+    {
+      comment: `Snowpipe for rows and deletion markers (${autoIngest.note})`,
+      sql: `CREATE PIPE IF NOT EXISTS ${names.rowsPipe}
+  ${autoIngest.clause}
+  AS
+  COPY INTO ${names.raw} (ITEM_ID, OPERATION_TYPE, SYNCED_AT, DATA, SOURCE_FILE)
+  FROM (
+    SELECT ${itemIdFromPath},
+           $1:_sync_metadata.operation_type::VARCHAR,
+           $1:_sync_metadata.synced_at::TIMESTAMP_TZ,
+           $1,
+           METADATA$FILENAME
+    FROM @${names.stage}
+  )
+  PATTERN = '.*item_id=[0-9]+/(row|deletion_marker)[.]json'`
+    },
+    {
+      comment: "Snowpipe for attachment metadata",
+      sql: `CREATE PIPE IF NOT EXISTS ${names.attachmentsPipe}
+  ${autoIngest.clause}
+  AS
+  COPY INTO ${names.attachmentsRaw} (ITEM_ID, ATTACHMENTS, SOURCE_FILE)
+  FROM (
+    SELECT ${itemIdFromPath}, $1, METADATA$FILENAME
+    FROM @${names.stage}
+  )
+  PATTERN = '.*item_id=[0-9]+/attachments_meta[.]json'`
+    },
+    {
+      comment: "Streams over the raw tables feed the apply procedure",
+      sql: `CREATE STREAM IF NOT EXISTS ${names.rawStream} ON TABLE ${names.raw} APPEND_ONLY = TRUE`
+    },
+    {
+      comment: null,
+      sql: `CREATE STREAM IF NOT EXISTS ${names.attachmentsStream} ON TABLE ${names.attachmentsRaw} APPEND_ONLY = TRUE`
+    },
+    {
+      comment: "Applies new rows, deletion markers and attachment metadata to the typed tables",
+      sql: `CREATE OR REPLACE PROCEDURE ${names.procedure}()
+RETURNS VARCHAR
+LANGUAGE SQL
+AS
+$$
+BEGIN
+  -- One transaction, so both streams advance only if every statement succeeds
+  BEGIN TRANSACTION;
+
+  ${getMergeStatement(names, mappings)};
+
+  -- Deleted items lose their attachments as well
+  DELETE FROM ${names.attachments}
+  WHERE ITEM_ID IN (SELECT ITEM_ID FROM ${names.rawStream} WHERE OPERATION_TYPE = 'delete');
+
+  -- The latest attachments_meta.json replaces all attachments of its item
+  DELETE FROM ${names.attachments}
+  WHERE ITEM_ID IN (SELECT ITEM_ID FROM ${names.attachmentsStream});
+
+  INSERT INTO ${names.attachments}
+  SELECT A.ITEM_ID,
+         F.VALUE:file_name::VARCHAR,
+         F.VALUE:safe_file_name::VARCHAR,
+         F.VALUE:s3_key::VARCHAR,
+         F.VALUE:s3_url::VARCHAR,
+         F.VALUE:download_url::VARCHAR,
+         F.VALUE:size_bytes::NUMBER,
+         F.VALUE:etag::VARCHAR,
+         COALESCE(F.VALUE:skipped::BOOLEAN, FALSE),
+         F.VALUE:skip_reason::VARCHAR,
+         A.LOADED_AT
+  FROM (
+    SELECT * FROM ${names.attachmentsStream}
+    QUALIFY ROW_NUMBER() OVER (PARTITION BY ITEM_ID ORDER BY LOADED_AT DESC, SOURCE_FILE DESC) = 1
+  ) A,
+  LATERAL FLATTEN(INPUT => A.ATTACHMENTS) F;
+
+  COMMIT;
+  RETURN 'ok';
+END;
+$$`
+    }
+  ];
+
+  if (options.warehouse) {
+    statements.push(
+      {
+        comment: `Runs the apply procedure every ${options.taskSchedule} while new files arrive`,
+        sql: `CREATE OR REPLACE TASK ${names.task}
+  WAREHOUSE = ${options.warehouse}
+  SCHEDULE = ${quoteString(options.taskSchedule)}
+  WHEN SYSTEM$STREAM_HAS_DATA(${quoteString(names.rawStream)}) OR SYSTEM$STREAM_HAS_DATA(${quoteString(names.attachmentsStream)})
+  AS CALL ${names.procedure}()`
+      },
+      {
+        comment: null,
+        sql: `ALTER TASK ${names.task} RESUME`
+      }
+    );
+  }
+
+  return statements;
+}
+
+/**
+ * Statements that bring the typed table from the columns last applied to
+ * the current ones. Added columns are backfilled from the raw table.
+ * Removed columns are kept (and no longer filled) unless `dropRemoved`
+ * is set; columns whose type changed need a manual migration.
+ * @param {object|null} applied - ddl_state.json from the last apply
+ * @returns {Array<{comment: string, sql: string|null}>}
+ */
+export function generateMigration(target, applied, mappings, options = {}) {
+  if (!applied) return [];
+
+  const names = getObjectNames(target);
+  const previous = new Map(applied.columns.map(column => [column.identifier, column]));
+  const current = new Map(mappings.map(mapping => [mapping.identifier, mapping]));
+  const statements = [];
+
+  const added = mappings.filter(mapping => !previous.has(mapping.identifier));
+  for (const mapping of added) {
+    statements.push({
+      comment: `Column added in SharePoint: ${mapping.internalName}`,
+      sql: `ALTER TABLE ${names.table} ADD COLUMN IF NOT EXISTS ${mapping.identifier} ${mapping.sqlType}`
+    });
+  }
+  if (added.length > 0) {
+    statements.push({
+      comment: "Backfill the new columns from the latest raw row of each item",
+      sql: `UPDATE ${names.table} T
+SET ${added.map(m => `${m.identifier} = ${getValueExpression(m, "S.DATA")}`).join(",\n    ")}
+FROM (
+  SELECT * FROM ${names.raw}
+  WHERE OPERATION_TYPE <> 'delete'
+  QUALIFY ROW_NUMBER() OVER (PARTITION BY ITEM_ID ORDER BY SYNCED_AT DESC, SOURCE_FILE DESC) = 1
+) S
+WHERE T.ITEM_ID = S.ITEM_ID`
+    });
+  }
+
+  for (const column of applied.columns) {
+    if (current.has(column.identifier)) continue;
+    statements.push(options.dropRemoved
+      ? {
+        comment: `Column removed in SharePoint: ${column.internalName}`,
+        sql: `ALTER TABLE ${names.table} DROP COLUMN IF EXISTS ${column.identifier}`
+      }
+      : {
+        comment: `Column removed in SharePoint: ${column.internalName}; ${column.identifier} is kept but no longer filled (rerun with --drop-removed to drop it)`,
+        sql: null
+      });
+  }
+
+  for (const mapping of mappings) {
+    const before = previous.get(mapping.identifier);
+    if (before && before.sqlType !== mapping.sqlType) {
+      statements.push({
+        comment: `Type of ${mapping.identifier} changed from ${before.sqlType} to ${mapping.sqlType}; migrate this column manually`,
+        sql: null
+      });
+    }
+  }
+
+  return statements;
+}
+
+/**
+ * Load the columns recorded by the last `ddl --apply` for a target
+ * @returns {Promise<object|null>}
+ */
+export async function loadDdlState(target) {
+  const key = getDdlStateKey(target);
+  if (!(await objectExists(key))) return null;
+  return JSON.parse(await downloadObject(key));
+}
+
+/**
+ * Record the applied columns, and keep a copy of any migration that ran
+ */
+export async function saveDdlState(target, schema, mappings, migration) {
+  const key = getDdlStateKey(target);
+  const previous = await loadDdlState(target);
+
+  if (migration.length > 0) {
+    const migrationKey = key.replace(/ddl_state\.json$/,
+      `migrations/v${previous?.schema_version ?? 0}-to-v${schema.version}.sql`);
+    await uploadObject(migrationKey, Buffer.from(formatStatements(migration)), "application/sql");
+  }
+
+  await uploadJSON(key, {
+    list_name: target.listName,
+    schema_version: schema.version,
+    applied_at: new Date().toISOString(),
+    columns: mappings
+  });
+}
+
+/**
+ * Render statements as a SQL script
+ */
+export function formatStatements(statements) {
+  return statements
+    .map(({ comment, sql }) => [comment ? `-- ${comment}` : null, sql ? `${sql};` : null]
+      .filter(Boolean)
+      .join("\n"))
+    .join("\n\n") + "\n";
+}
@@ -0,0 +1,60 @@
+// src/extract/index.js
+import path from "path";
+import { extractPdf } from "./pdf.js";
+import { extractOoxml } from "./ooxml.js";
+
+// Longer texts are cut here (and marked as truncated)
+const MAX_TEXT_CHARS = 10 * 1024 * 1024;
+
+// Plain text, with the byte order mark deciding between UTF-8 and UTF-16
+function extractPlainText(body) {
+  let text;
+  if (body[0] === 0xff && body[1] === 0xfe) text = body.subarray(2).toString("utf16le");
+  else if (body[0] === 0xfe && body[1] === 0xff) text = Buffer.from(body.subarray(2)).swap16().toString("utf16le");
+  else text = body.toString("utf8").replace(/^﻿/, "");
+  return { text, metadata: { format: "text" } };
+}
+
+const EXTRACTORS = {
+  ".pdf": extractPdf,
+  ".docx": body => extractOoxml("docx", body),
+  ".xlsx": body => extractOoxml("xlsx", body),
+  ".pptx": body => extractOoxml("pptx", body),
+  ".txt": extractPlainText,
+  ".csv": extractPlainText,
+  ".md": extractPlainText
+};
+
+/**
+ * Whether text can be extracted from a file, judged by its extension
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+export function canExtractText(fileName) {
+  return Object.hasOwn(EXTRACTORS, path.extname(fileName).toLowerCase());
+}
+
+/**
+ * Extract plain text and basic metadata (title, author, pages, ...) from a
+ * PDF, DOCX, XLSX, PPTX or text file
+ * @param {string} fileName - Decides the format
+ * @param {Buffer} body - File content
+ * @returns {{text: string, metadata: object, truncated: boolean}}
+ * @throws {Error} If the file cannot be read or holds no text
+ */
+export function extractText(fileName, body) {
+  const extract = EXTRACTORS[path.extname(fileName).toLowerCase()];
+  if (!extract) throw new Error(`Unsupported file type '${path.extname(fileName) || fileName}'`);
+
+  const { text, metadata } = extract(body);
+  const normalized = text.replace(/\r\n?/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  if (!normalized) {
+    throw new Error("No text found (scanned images, or fonts without a Unicode mapping)");
+  }
+
+  // Metadata fields the format did not have are left out
+  const present = Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== null && value !== undefined));
+  return normalized.length > MAX_TEXT_CHARS
+    ? { text: normalized.slice(0, MAX_TEXT_CHARS), metadata: present, truncated: true }
+    : { text: normalized, metadata: present, truncated: false };
+}
@@ -0,0 +1,171 @@
+// src/extract/ooxml.js
+import path from "path";
+import { readZip } from "./zip.js";
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (match, entity) => {
+    if (entity[0] !== "#") return ENTITIES[entity];
+    const code = entity[1] === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  });
+}
+
+function readXml(zip, name) {
+  const data = zip.read(name);
+  return data ? data.toString("utf8") : null;
+}
+
+// Text of every <tag>...</tag> in an XML fragment, e.g. all <a:t> runs of a paragraph
+function collectText(xml, tag) {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>`, "g");
+  let text = "";
+  for (const match of xml.matchAll(pattern)) text += decodeXml(match[1]);
+  return text;
+}
+
+// Title, author and dates from docProps/core.xml
+function readCoreProperties(zip) {
+  const xml = readXml(zip, "docProps/core.xml");
+  if (!xml) return {};
+
+  const property = tag => {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>`));
+    const value = match ? decodeXml(match[1]).trim() : "";
+    return value || null;
+  };
+  return {
+    title: property("dc:title"),
+    author: property("dc:creator"),
+    last_modified_by: property("cp:lastModifiedBy"),
+    created: property("dcterms:created"),
+    modified: property("dcterms:modified")
+  };
+}
+
+// Paragraphs of a WordprocessingML or DrawingML part, one per line
+function paragraphsToText(xml, paragraphTag, textTag) {
+  const lines = [];
+  for (const match of xml.matchAll(new RegExp(`<${paragraphTag}(?:\\s[^>]*)?>([\\s\\S]*?)</${paragraphTag}>`, "g"))) {
+    // Tabs and line breaks inside a paragraph are kept as whitespace
+    const body = match[1].replace(/<w:tab\/>/g, `<${textTag}>\t</${textTag}>`).replace(/<(?:w|a):br\/>/g, `<${textTag}>\n</${textTag}>`);
+    lines.push(collectText(body, textTag));
+  }
+  return lines.join("\n");
+}
+
+// Relationship ID -> part name, from a part's .rels file
+function readRelationships(zip, relsName, baseDir) {
+  const xml = readXml(zip, relsName) || "";
+  const targets = new Map();
+  for (const match of xml.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const id = match[1].match(/\bId="([^"]*)"/)?.[1];
+    const target = match[1].match(/\bTarget="([^"]*)"/)?.[1];
+    if (!id || !target) continue;
+    targets.set(id, target.startsWith("/") ? target.slice(1) : path.posix.normalize(`${baseDir}${target}`));
+  }
+  return targets;
+}
+
+function extractDocx(zip) {
+  const xml = readXml(zip, "word/document.xml");
+  if (!xml) throw new Error("word/document.xml is missing");
+
+  // Footnotes and endnotes follow the body text
+  const notes = ["word/footnotes.xml", "word/endnotes.xml"]
+    .map(name => readXml(zip, name))
+    .filter(Boolean)
+    .map(part => paragraphsToText(part, "w:p", "w:t"));
+
+  return {
+    text: [paragraphsToText(xml, "w:p", "w:t"), ...notes].join("\n\n"),
+    metadata: { format: "docx", ...readCoreProperties(zip) }
+  };
+}
+
+// Value of one <c> cell, looked up in the shared strings when needed
+function readCell(attributes, body, sharedStrings) {
+  const type = attributes.match(/\bt="([^"]*)"/)?.[1];
+  if (type === "inlineStr") return collectText(body, "t");
+
+  const value = body.match(/<v>([^<]*)<\/v>/)?.[1];
+  if (value === undefined) return "";
+  if (type === "s") return sharedStrings[Number(value)] ?? "";
+  if (type === "b") return value === "1" ? "TRUE" : "FALSE";
+  return decodeXml(value);
+}
+
+function extractXlsx(zip) {
+  const workbook = readXml(zip, "xl/workbook.xml");
+  if (!workbook) throw new Error("xl/workbook.xml is missing");
+
+  const sharedStringsXml = readXml(zip, "xl/sharedStrings.xml") || "";
+  const sharedStrings = [...sharedStringsXml.matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(match => collectText(match[1], "t"));
+
+  const relationships = readRelationships(zip, "xl/_rels/workbook.xml.rels", "xl/");
+  const sheets = [];
+  const sections = [];
+
+  for (const match of workbook.matchAll(/<sheet\b([^>]*)\/?>/g)) {
+    const name = decodeXml(match[1].match(/\bname="([^"]*)"/)?.[1] ?? "");
+    const relationshipId = match[1].match(/\br:id="([^"]*)"/)?.[1];
+    const xml = readXml(zip, relationships.get(relationshipId) ?? "");
+    if (!xml) continue;
+
+    // One line per row, cells separated by tabs
+    const rows = [];
+    for (const row of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+      const cells = [...row[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)]
+        .map(cell => readCell(cell[1], cell[2] || "", sharedStrings));
+      if (cells.some(Boolean)) rows.push(cells.join("\t").replace(/\t+$/, ""));
+    }
+
+    sheets.push(name);
+    sections.push(`# ${name}\n${rows.join("\n")}`);
+  }
+
+  return {
+    text: sections.join("\n\n"),
+    metadata: { format: "xlsx", sheets, ...readCoreProperties(zip) }
+  };
+}
+
+function extractPptx(zip) {
+  // Slides in presentation order: ppt/slides/slide1.xml, slide2.xml, ...
+  const slides = zip.names
+    .map(name => ({ name, number: Number(name.match(/^ppt\/slides\/slide(\d+)\.xml$/)?.[1]) }))
+    .filter(slide => Number.isInteger(slide.number))
+    .sort((a, b) => a.number - b.number);
+  if (slides.length === 0) throw new Error("The presentation has no slides");
+
+  const sections = slides.map(({ name, number }) => {
+    const text = paragraphsToText(readXml(zip, name), "a:p", "a:t");
+
+    // Speaker notes of the slide, when there are any
+    const relationships = readRelationships(zip, name.replace(/slides\/(slide\d+\.xml)$/, "slides/_rels/$1.rels"), "ppt/slides/");
+    const notesName = [...relationships.values()].find(target => /notesSlides\//.test(target));
+    const notesXml = notesName ? readXml(zip, notesName) : null;
+    const notes = notesXml ? paragraphsToText(notesXml, "a:p", "a:t").trim() : "";
+
+    return `# Slide ${number}\n${text}${notes ? `\n\nNotes:\n${notes}` : ""}`;
+  });
+
+  return {
+    text: sections.join("\n\n"),
+    metadata: { format: "pptx", slides: slides.length, ...readCoreProperties(zip) }
+  };
+}
+
+const EXTRACTORS = { docx: extractDocx, xlsx: extractXlsx, pptx: extractPptx };
+
+/**
+ * Extract the text of an Office Open XML document
+ * @param {"docx"|"xlsx"|"pptx"} format
+ * @param {Buffer} body - The file
+ * @returns {{text: string, metadata: object}}
+ */
+export function extractOoxml(format, body) {
+  return EXTRACTORS[format](readZip(body));
+}
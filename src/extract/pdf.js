@@ -0,0 +1,520 @@
+// src/extract/pdf.js
+import zlib from "zlib";
+
+// PDF parsing works on a "binary" string: one character per byte (latin1)
+
+const SPACE = " \t\r\n\f\0";
+const DELIMITERS = "()<>[]{}/%";
+
+// WinAnsiEncoding bytes 0x80-0x9F that differ from Latin-1
+const WIN_ANSI = {
+  0x80: "€", 0x82: "‚", 0x83: "ƒ", 0x84: "„", 0x85: "…", 0x86: "†", 0x87: "‡", 0x88: "ˆ", 0x89: "‰",
+  0x8a: "Š", 0x8b: "‹", 0x8c: "Œ", 0x8e: "Ž", 0x91: "‘", 0x92: "’", 0x93: "“", 0x94: "”", 0x95: "•",
+  0x96: "–", 0x97: "—", 0x98: "˜", 0x99: "™", 0x9a: "š", 0x9b: "›", 0x9c: "œ", 0x9e: "ž", 0x9f: "Ÿ"
+};
+
+// Glyph names of `/Differences` encodings that are not single letters or uniXXXX
+const GLYPH_NAMES = {
+  space: " ", exclam: "!", quotedbl: "\"", numbersign: "#", dollar: "$", percent: "%", ampersand: "&",
+  quotesingle: "'", parenleft: "(", parenright: ")", asterisk: "*", plus: "+", comma: ",", hyphen: "-",
+  period: ".", slash: "/", zero: "0", one: "1", two: "2", three: "3", four: "4", five: "5", six: "6",
+  seven: "7", eight: "8", nine: "9", colon: ":", semicolon: ";", less: "<", equal: "=", greater: ">",
+  question: "?", at: "@", bracketleft: "[", backslash: "\\", bracketright: "]", underscore: "_",
+  quoteleft: "‘", quoteright: "’", quotedblleft: "“", quotedblright: "”", endash: "–", emdash: "—",
+  bullet: "•", ellipsis: "…", fi: "fi", fl: "fl", ff: "ff", ffi: "ffi", ffl: "ffl", nbspace: " "
+};
+
+// Nested form XObjects are followed this deep
+const MAX_FORM_DEPTH = 5;
+
+// Guards against compression bombs: no stream may inflate beyond
+// MAX_STREAM_BYTES, and the streams of one file together not beyond MAX_DECODED_BYTES
+const MAX_STREAM_BYTES = 64 * 1024 * 1024;
+const MAX_DECODED_BYTES = 256 * 1024 * 1024;
+
+// Bytes a file may still inflate, keyed by its object table
+const decodeBudgets = new WeakMap();
+
+function isRegular(c) {
+  return c !== undefined && !SPACE.includes(c) && !DELIMITERS.includes(c);
+}
+
+function skipSpace(s, i) {
+  while (i < s.length) {
+    if (s[i] === "%") {
+      while (i < s.length && s[i] !== "\n" && s[i] !== "\r") i++;
+    } else if (SPACE.includes(s[i])) {
+      i++;
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+function parseLiteralString(s, i) {
+  let depth = 1;
+  let out = "";
+  i++;
+  while (i < s.length) {
+    const c = s[i++];
+    if (c === "\\") {
+      const next = s[i++];
+      if (next === "n") out += "\n";
+      else if (next === "r") out += "\r";
+      else if (next === "t") out += "\t";
+      else if (next === "b") out += "\b";
+      else if (next === "f") out += "\f";
+      else if (next === "\r") { if (s[i] === "\n") i++; } // line continuation
+      else if (next === "\n") { /* line continuation */ }
+      else if (next >= "0" && next <= "7") {
+        let octal = next;
+        while (octal.length < 3 && s[i] >= "0" && s[i] <= "7") octal += s[i++];
+        out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+      } else if (next !== undefined) {
+        out += next;
+      }
+    } else if (c === "(") {
+      depth++;
+      out += c;
+    } else if (c === ")") {
+      if (--depth === 0) break;
+      out += c;
+    } else {
+      out += c;
+    }
+  }
+  return [{ str: out }, i];
+}
+
+function parseHexString(s, i) {
+  const end = s.indexOf(">", i);
+  const stop = end < 0 ? s.length : end;
+  let hex = s.slice(i + 1, stop).replace(/[^0-9a-fA-F]/g, "");
+  if (hex.length % 2) hex += "0";
+  return [{ str: Buffer.from(hex, "hex").toString("latin1") }, stop + 1];
+}
+
+/**
+ * Parse one PDF object starting at s[i]. Dictionaries become plain objects,
+ * names `{name}`, strings `{str}`, references `{ref}` and content stream
+ * operators `{keyword}`.
+ * @returns {[any, number]} The value and the index after it
+ */
+function parseValue(s, i) {
+  i = skipSpace(s, i);
+  const c = s[i];
+
+  if (c === "<" && s[i + 1] === "<") {
+    const dict = {};
+    i += 2;
+    for (;;) {
+      i = skipSpace(s, i);
+      if (i >= s.length) throw new Error("Unterminated dictionary");
+      if (s[i] === ">" && s[i + 1] === ">") return [dict, i + 2];
+
+      const [key, afterKey] = parseValue(s, i);
+      const [value, afterValue] = parseValue(s, afterKey);
+      if (key?.name !== undefined) dict[key.name] = value;
+      i = afterValue;
+    }
+  }
+  if (c === "[") {
+    const array = [];
+    i++;
+    for (;;) {
+      i = skipSpace(s, i);
+      if (i >= s.length) throw new Error("Unterminated array");
+      if (s[i] === "]") return [array, i + 1];
+
+      const [value, next] = parseValue(s, i);
+      array.push(value);
+      i = next;
+    }
+  }
+  if (c === "(") return parseLiteralString(s, i);
+  if (c === "<") return parseHexString(s, i);
+  if (c === "/") {
+    let j = i + 1;
+    while (isRegular(s[j])) j++;
+    return [{ name: s.slice(i + 1, j).replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) }, j];
+  }
+  if (c === undefined) throw new Error("Unexpected end of data");
+
+  let j = i;
+  while (isRegular(s[j])) j++;
+  if (j === i) j++; // stray delimiter such as ">" or "}"
+  const token = s.slice(i, j);
+
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+    // "12 0 R" is a reference to object 12
+    const ref = /^\s+\d+\s+R/.exec(s.slice(j, j + 24));
+    if (ref && /^\d+$/.test(token) && !isRegular(s[j + ref[0].length])) {
+      return [{ ref: Number(token) }, j + ref[0].length];
+    }
+    return [Number(token), j];
+  }
+  if (token === "true") return [true, j];
+  if (token === "false") return [false, j];
+  if (token === "null") return [null, j];
+  return [{ keyword: token }, j];
+}
+
+/**
+ * Index every `N G obj` in the file, including objects packed into object
+ * streams. Later definitions (incremental updates) replace earlier ones.
+ * @returns {Map<number, {value: any, stream: string|null}>}
+ */
+function readObjects(s) {
+  const objects = new Map();
+  const pattern = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+
+  while ((match = pattern.exec(s))) {
+    try {
+      const [value, end] = parseValue(s, match.index + match[0].length);
+      let stream = null;
+      const next = skipSpace(s, end);
+
+      if (s.startsWith("stream", next)) {
+        let start = next + 6;
+        if (s[start] === "\r") start++;
+        if (s[start] === "\n") start++;
+        // /Length may be an indirect reference; then look for the keyword instead
+        const length = typeof value?.Length === "number" ? value.Length : -1;
+        let stop = length >= 0 && s.startsWith("endstream", skipSpace(s, start + length))
+          ? start + length
+          : s.indexOf("endstream", start);
+        if (stop < 0) stop = s.length;
+        stream = s.slice(start, stop);
+        pattern.lastIndex = stop;
+      }
+      objects.set(Number(match[1]), { value, stream });
+    } catch {
+      // Damaged object; the rest of the file may still be readable
+    }
+  }
+
+  for (const object of [...objects.values()]) {
+    if (object.value?.Type?.name !== "ObjStm") continue;
+    try {
+      const data = decodeStream(objects, object);
+      const first = object.value.First;
+      if (data === null || typeof first !== "number") continue;
+
+      const header = data.slice(0, first).trim().split(/\s+/).map(Number);
+      for (let k = 0; k + 1 < header.length; k += 2) {
+        if (!objects.has(header[k])) {
+          objects.set(header[k], { value: parseValue(data, first + header[k + 1])[0], stream: null });
+        }
+      }
+    } catch {
+      // Skip unreadable object streams
+    }
+  }
+  return objects;
+}
+
+function resolve(objects, value) {
+  return value?.ref !== undefined ? objects.get(value.ref)?.value ?? null : value;
+}
+
+// Decoded stream data, or null for encodings that cannot hold text (images)
+function decodeStream(objects, object) {
+  const filters = [].concat(resolve(objects, object.value?.Filter) ?? []).map(filter => resolve(objects, filter)?.name);
+  let data = Buffer.from(object.stream, "latin1");
+
+  for (const filter of filters) {
+    if (filter !== "FlateDecode" && filter !== "Fl") return null;
+
+    const remaining = decodeBudgets.get(objects) ?? MAX_DECODED_BYTES;
+    const limit = Math.min(MAX_STREAM_BYTES, remaining);
+    try {
+      // Sync flush tolerates streams with a truncated or missing end marker
+      data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: Math.max(1, limit) });
+    } catch (err) {
+      if (err.code !== "ERR_BUFFER_TOO_LARGE") throw err;
+      // Once over a limit, every further stream of the file fails right away
+      decodeBudgets.set(objects, 0);
+      throw new Error(limit === MAX_STREAM_BYTES
+        ? `A PDF stream decompresses to more than ${MAX_STREAM_BYTES / 1024 / 1024} MB`
+        : `The PDF decompresses to more than ${MAX_DECODED_BYTES / 1024 / 1024} MB`);
+    }
+    decodeBudgets.set(objects, remaining - data.length);
+  }
+  return data.toString("latin1");
+}
+
+// PDF text strings (document info) are UTF-16BE with a BOM, or PDFDocEncoding
+function decodeTextString(value) {
+  if (value?.str === undefined) return null;
+  const { str } = value;
+  const text = str.startsWith("\xfe\xff")
+    ? Buffer.from(str.slice(2), "latin1").swap16().toString("utf16le")
+    : str;
+  return text.replace(/\0/g, "").trim() || null;
+}
+
+function decodeUtf16Hex(hex) {
+  let text = "";
+  for (let k = 0; k + 4 <= hex.length; k += 4) text += String.fromCharCode(parseInt(hex.slice(k, k + 4), 16));
+  return text;
+}
+
+// bfchar/bfrange mappings of a ToUnicode CMap
+function parseCMap(text) {
+  const map = new Map();
+  const codespace = text.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  const codeLength = codespace ? Math.max(1, codespace[1].length / 2) : 2;
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, from, to] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(from, 16), decodeUtf16Hex(to));
+    }
+  }
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, to] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const start = parseInt(low, 16);
+      const end = Math.min(parseInt(high, 16), start + 0xffff);
+      if (to.startsWith("[")) {
+        const targets = [...to.matchAll(/<([0-9a-fA-F]*)>/g)].map(target => decodeUtf16Hex(target[1]));
+        targets.forEach((target, k) => { if (start + k <= end) map.set(start + k, target); });
+      } else {
+        // The last UTF-16 unit counts up through the range
+        const base = decodeUtf16Hex(to.slice(1, -1));
+        for (let code = start; code <= end; code++) {
+          map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - start));
+        }
+      }
+    }
+  }
+  return { map, codeLength };
+}
+
+function decodeSimple(str, differences) {
+  let text = "";
+  for (let k = 0; k < str.length; k++) {
+    const code = str.charCodeAt(k);
+    text += differences?.get(code) ?? WIN_ANSI[code] ?? str[k];
+  }
+  return text;
+}
+
+// Code -> text of a simple font's /Differences array
+function readDifferences(objects, encoding) {
+  const differences = resolve(objects, encoding?.Differences);
+  if (!Array.isArray(differences)) return null;
+
+  const map = new Map();
+  let code = 0;
+  for (const entry of differences) {
+    if (typeof entry === "number") {
+      code = entry;
+      continue;
+    }
+    const name = entry?.name;
+    if (name === undefined) continue;
+    const unicode = name.match(/^uni([0-9A-Fa-f]{4})$/);
+    const text = unicode ? String.fromCharCode(parseInt(unicode[1], 16))
+      : name.length === 1 ? name
+        : GLYPH_NAMES[name];
+    if (text !== undefined) map.set(code, text);
+    code++;
+  }
+  return map;
+}
+
+/**
+ * Turn the strings of a font into text: through its ToUnicode CMap when it
+ * has one, otherwise as WinAnsi/Latin-1 with the /Differences applied.
+ * Composite (Type0) fonts without a ToUnicode CMap cannot be decoded.
+ */
+function createFontDecoder(objects, font) {
+  const toUnicode = objects.get(font?.ToUnicode?.ref);
+  if (toUnicode?.stream != null) {
+    const data = decodeStream(objects, toUnicode);
+    if (data !== null) {
+      const { map, codeLength } = parseCMap(data);
+      return str => {
+        let text = "";
+        for (let k = 0; k + codeLength <= str.length; k += codeLength) {
+          let code = 0;
+          for (let b = 0; b < codeLength; b++) code = code * 256 + str.charCodeAt(k + b);
+          text += map.get(code) ?? "";
+        }
+        return text;
+      };
+    }
+  }
+
+  if (font?.Subtype?.name === "Type0") return () => "";
+  const differences = readDifferences(objects, resolve(objects, font?.Encoding));
+  return str => decodeSimple(str, differences);
+}
+
+/**
+ * Collect the text of a content stream. Lines follow the text positioning
+ * operators; large gaps inside TJ arrays become spaces. Form XObjects drawn
+ * with `Do` are followed with their own resources.
+ */
+function extractContentText(objects, content, resources, fontCache, depth, out) {
+  const fonts = resolve(objects, resources?.Font) || {};
+  const xObjects = resolve(objects, resources?.XObject) || {};
+  const newline = () => {
+    if (out.text && !out.text.endsWith("\n")) out.text += "\n";
+  };
+  const fontDecoder = name => {
+    const font = resolve(objects, fonts[name]);
+    if (!font) return decodeSimple;
+    if (!fontCache.has(font)) fontCache.set(font, createFontDecoder(objects, font));
+    return fontCache.get(font);
+  };
+
+  let decode = str => decodeSimple(str);
+  let operands = [];
+  let i = 0;
+
+  while (i < content.length) {
+    let value;
+    try {
+      i = skipSpace(content, i);
+      if (i >= content.length) break;
+      [value, i] = parseValue(content, i);
+    } catch {
+      break;
+    }
+    if (value?.keyword === undefined) {
+      operands.push(value);
+      continue;
+    }
+
+    switch (value.keyword) {
+      case "Tf":
+        decode = fontDecoder(operands[0]?.name);
+        break;
+      case "Tj":
+        if (operands[0]?.str !== undefined) out.text += decode(operands[0].str);
+        break;
+      case "'":
+      case "\"":
+        newline();
+        if (operands.at(-1)?.str !== undefined) out.text += decode(operands.at(-1).str);
+        break;
+      case "TJ":
+        for (const part of Array.isArray(operands[0]) ? operands[0] : []) {
+          if (part?.str !== undefined) {
+            out.text += decode(part.str);
+          } else if (typeof part === "number" && part < -200 && !/\s$/.test(out.text)) {
+            out.text += " ";
+          }
+        }
+        break;
+      case "Td":
+      case "TD":
+        if (operands[1]) newline();
+        else if (operands[0] && !/\s$/.test(out.text)) out.text += " ";
+        break;
+      case "T*":
+      case "BT":
+      case "ET":
+        newline();
+        break;
+      case "Tm":
+        if (operands[5] !== out.lastY) newline();
+        out.lastY = operands[5];
+        break;
+      case "Do": {
+        const form = objects.get(xObjects[operands[0]?.name]?.ref);
+        if (depth < MAX_FORM_DEPTH && form?.stream != null && form.value?.Subtype?.name === "Form") {
+          const data = decodeStream(objects, form);
+          if (data !== null) {
+            extractContentText(objects, data, resolve(objects, form.value.Resources) || resources, fontCache, depth + 1, out);
+          }
+        }
+        break;
+      }
+      case "ID": {
+        // Inline image data runs up to "EI"; it holds no text
+        const end = content.slice(i).search(/\sEI(?![^\s()<>[\]{}/%])/);
+        i = end < 0 ? content.length : i + end + 3;
+        break;
+      }
+    }
+    operands = [];
+  }
+}
+
+// Leaf page objects in order, each with the resources it inherits
+function collectPages(objects, node, inheritedResources, pages, seen) {
+  const page = resolve(objects, node);
+  if (!page || typeof page !== "object" || seen.has(page)) return;
+  seen.add(page);
+
+  const resources = page.Resources !== undefined ? resolve(objects, page.Resources) : inheritedResources;
+  const kids = resolve(objects, page.Kids);
+  if (Array.isArray(kids)) {
+    for (const kid of kids) collectPages(objects, kid, resources, pages, seen);
+  } else {
+    pages.push({ page, resources });
+  }
+}
+
+function getPageContents(objects, page) {
+  const contents = page.Contents;
+  const single = objects.get(contents?.ref);
+  if (single?.stream != null) return [single];
+
+  const list = Array.isArray(contents) ? contents : single?.value;
+  return Array.isArray(list) ? list.map(ref => objects.get(ref?.ref)).filter(object => object?.stream != null) : [];
+}
+
+// The trailer (or cross-reference stream) names the catalog and document info
+function findTrailerRef(s, key) {
+  const matches = [...s.matchAll(new RegExp(`/${key}\\s+(\\d+)\\s+\\d+\\s+R`, "g"))];
+  return matches.length > 0 ? { ref: Number(matches.at(-1)[1]) } : null;
+}
+
+/**
+ * Extract the text of a PDF, page by page. Only Flate-compressed and
+ * uncompressed content is read; scanned pages (images) have no text.
+ * @param {Buffer} body - The file
+ * @returns {{text: string, metadata: object}}
+ * @throws {Error} For encrypted or unreadable files
+ */
+export function extractPdf(body) {
+  const s = body.toString("latin1");
+  if (!s.startsWith("%PDF-")) throw new Error("Not a PDF file");
+  if (findTrailerRef(s, "Encrypt") || /\/Encrypt\s*<</.test(s)) {
+    throw new Error("Encrypted PDFs are not supported");
+  }
+
+  const objects = readObjects(s);
+  const catalog = resolve(objects, findTrailerRef(s, "Root"));
+  const pages = [];
+  collectPages(objects, catalog?.Pages, null, pages, new Set());
+  if (pages.length === 0) throw new Error("No pages found");
+
+  const fontCache = new Map();
+  const pageTexts = pages.map(({ page, resources }) => {
+    const out = { text: "", lastY: null };
+    for (const content of getPageContents(objects, page)) {
+      const data = decodeStream(objects, content);
+      if (data !== null) extractContentText(objects, data, resources, fontCache, 0, out);
+    }
+    return out.text.replace(/[ \t]+\n/g, "\n").trim();
+  });
+
+  const info = resolve(objects, findTrailerRef(s, "Info")) || {};
+  const infoText = key => decodeTextString(resolve(objects, info[key]));
+  return {
+    text: pageTexts.join("\n\n"),
+    metadata: {
+      format: "pdf",
+      pages: pages.length,
+      title: infoText("Title"),
+      author: infoText("Author"),
+      created: infoText("CreationDate"),
+      modified: infoText("ModDate")
+    }
+  };
+}
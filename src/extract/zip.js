@@ -0,0 +1,74 @@
+// src/extract/zip.js
+import zlib from "zlib";
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Guards against zip bombs: no single entry may inflate beyond this
+const MAX_ENTRY_BYTES = 256 * 1024 * 1024;
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64 KiB
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new Error("Not a ZIP archive");
+}
+
+/**
+ * Read the table of contents of a ZIP archive (the container of DOCX, XLSX
+ * and PPTX files). Entries are inflated on demand. ZIP64 archives and
+ * encrypted entries are not supported.
+ * @param {Buffer} buffer - The whole archive
+ * @returns {{names: string[], read: (name: string) => Buffer|null}}
+ */
+export function readZip(buffer) {
+  if (buffer.length < 22) throw new Error("Not a ZIP archive");
+
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (offset === 0xffffffff || count === 0xffff) {
+    throw new Error("ZIP64 archives are not supported");
+  }
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error("Damaged ZIP central directory");
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    entries.set(name, {
+      flags: buffer.readUInt16LE(offset + 8),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      headerOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return {
+    names: [...entries.keys()],
+
+    read(name) {
+      const entry = entries.get(name);
+      if (!entry) return null;
+      if (entry.flags & 0x1) throw new Error("Encrypted ZIP entries are not supported");
+
+      const header = entry.headerOffset;
+      if (buffer.readUInt32LE(header) !== LOCAL_FILE_HEADER) {
+        throw new Error(`Damaged ZIP entry ${name}`);
+      }
+      // Sizes in the local header may be zero (data descriptor); the central directory has them
+      const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+      const data = buffer.subarray(start, start + entry.compressedSize);
+
+      if (entry.method === 0) return data;
+      if (entry.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+      throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+    }
+  };
+}
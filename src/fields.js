@@ -0,0 +1,94 @@
+// src/fields.js
+import crypto from "crypto";
+
+// Replacement value of masked fields
+const MASK = "***";
+
+// Fields every row keeps, so it can still be identified and ordered
+const KEPT_FIELDS = ["Id", "ID", "Modified"];
+
+/**
+ * Compile a target's field rules (includeFields, excludeFields, maskFields,
+ * hashFields) into the keys they cover in a row. Rules name fields as
+ * `select` does; in a normalized row they match the display-name key of the
+ * schema column, otherwise the property itself and its `<Field>Id` companion
+ * (so lookups and people lose their ID too).
+ * @param {object} target - Sync target (see config.js)
+ * @param {object|null} schema - Schema document when rows are normalized, null for raw items
+ * @returns {object|null} Rules for applyFieldRules(), or null if the target has none
+ */
+export function compileFieldRules(target, schema) {
+  const { filter, includeFields, excludeFields, maskFields, hashFields } = target;
+  if (!filter && !includeFields && !excludeFields && !maskFields && !hashFields) return null;
+
+  const keysOf = field => {
+    if (!schema) return [field, `${field}Id`];
+    const column = schema.columns.find(c => c.property === field || c.internal_name === field);
+    return column ? [column.name] : [field];
+  };
+  const toKeys = fields => new Set((fields || []).flatMap(keysOf));
+
+  return {
+    // Masked and hashed fields are kept in the row, so they need not be listed in includeFields too
+    include: includeFields ? toKeys([...KEPT_FIELDS, ...includeFields, ...(maskFields || []), ...(hashFields || [])]) : null,
+    exclude: toKeys(excludeFields),
+    mask: toKeys(maskFields),
+    hash: toKeys(hashFields),
+    salt: target.hashSalt,
+    // Recorded in `_sync_metadata.field_rules`; the salt never is
+    summary: {
+      ...(filter && { filter }),
+      ...(includeFields && { include: includeFields }),
+      ...(excludeFields && { exclude: excludeFields }),
+      ...(maskFields && { mask: maskFields }),
+      ...(hashFields && { hash: hashFields })
+    }
+  };
+}
+
+function hashValue(value, salt) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return crypto.createHmac("sha256", salt).update(text).digest("hex");
+}
+
+/**
+ * Drop, mask and hash the fields of a row. Empty values (null) stay null,
+ * so a masked or hashed column still shows whether it was filled in.
+ * @param {object} row - Raw item or normalized row
+ * @param {object|null} rules - Result of compileFieldRules()
+ * @returns {object} New row (the input is left untouched)
+ */
+export function applyFieldRules(row, rules) {
+  if (!rules) return row;
+
+  const result = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (rules.include && !rules.include.has(key)) continue;
+    if (rules.exclude.has(key)) continue;
+
+    if (value === null || value === undefined) {
+      result[key] = value;
+    } else if (rules.hash.has(key)) {
+      result[key] = hashValue(value, rules.salt);
+    } else if (rules.mask.has(key)) {
+      result[key] = MASK;
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * How the field rules treat a schema column
+ * @returns {"exclude"|"mask"|"hash"|null} null if the column is written as is
+ */
+export function getColumnRule(target, column) {
+  const matches = fields => (fields || []).some(field => field === column.property || field === column.internal_name);
+
+  if (matches(target.excludeFields)) return "exclude";
+  if (matches(target.hashFields)) return "hash";
+  if (matches(target.maskFields)) return "mask";
+  if (target.includeFields && !matches(target.includeFields) && !matches(KEPT_FIELDS)) return "exclude";
+  return null;
+}
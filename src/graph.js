@@ -0,0 +1,277 @@
+// src/graph.js
+import { httpRequest, isRetryableError } from "./http.js";
+import { getGraphBaseUrl } from "./auth.js";
+
+// Item pages requested from Graph
+const PAGE_SIZE = 999;
+
+// Graph JSON batching accepts at most 20 requests per batch
+const BATCH_SIZE = 20;
+
+// Site and list IDs never change for a siteUrl/listName pair
+const listIdCache = new Map();
+
+// All Graph calls share one retry/throttle/circuit-breaker budget
+function graphRequest(config, options) {
+  return httpRequest("graph", config, options);
+}
+
+function getHeaders() {
+  return {
+    Accept: "application/json"
+  };
+}
+
+// Graph refuses $filter on columns that are not indexed unless asked to try anyway
+const FILTER_HEADERS = { Prefer: "HonorNonIndexedQueriesWarningMayFailRandomly" };
+
+/**
+ * Resolve the Graph site and list IDs of a SharePoint list
+ * @returns {Promise<string>} Base URL of the list, e.g. https://graph.microsoft.com/v1.0/sites/{siteId}/lists/{listId}
+ */
+async function getGraphListUrl(siteUrl, listName, token) {
+  const cacheKey = `${siteUrl}|${listName}`;
+  if (listIdCache.has(cacheKey)) return listIdCache.get(cacheKey);
+
+  const baseUrl = `${getGraphBaseUrl()}/v1.0`;
+  const { hostname, pathname } = new URL(siteUrl);
+  const sitePath = pathname.replace(/\/+$/, "");
+
+  // Sites are addressed as {hostname}:{server-relative path}
+  const siteRes = await graphRequest({
+    url: sitePath ? `${baseUrl}/sites/${hostname}:${sitePath}?$select=id` : `${baseUrl}/sites/${hostname}?$select=id`,
+    token,
+    headers: getHeaders()
+  });
+
+  // Lists can be addressed by their title as well as their ID
+  const listRes = await graphRequest({
+    url: `${baseUrl}/sites/${siteRes.data.id}/lists/${encodeURIComponent(listName)}?$select=id`,
+    token,
+    headers: getHeaders()
+  });
+
+  const listUrl = `${baseUrl}/sites/${siteRes.data.id}/lists/${listRes.data.id}`;
+  listIdCache.set(cacheKey, listUrl);
+  return listUrl;
+}
+
+// Graph-only presentation fields (title links, edit menu, child counts) that REST does not return
+const GRAPH_ONLY_FIELDS = new Set(["ContentType", "LinkTitle", "LinkTitleNoMenu", "Edit", "ItemChildCount", "FolderChildCount"]);
+
+// REST item properties that toRestItem builds from the listItem rather than its fields
+const DERIVED_FIELDS = new Set(["Id", "ID", "ContentTypeId", "FileSystemObjectType"]);
+
+// REST prefixes internal names starting with "_" with OData_ (OData__UIVersionString); Graph does not
+function toGraphFieldName(name) {
+  return name.startsWith("OData__") ? name.slice("OData_".length) : name;
+}
+
+// `fields` query for listItem requests
+function buildExpand(select) {
+  const fields = (select || []).filter(name => !DERIVED_FIELDS.has(name)).map(toGraphFieldName);
+  return fields.length > 0
+    ? `$expand=fields($select=${fields.map(encodeURIComponent).join(",")})`
+    : "$expand=fields";
+}
+
+// Graph returns lookup IDs as "<Field>LookupId" strings; REST calls them "<Field>Id" and uses numbers
+function toLookupId(value) {
+  if (Array.isArray(value)) return value.map(toLookupId);
+  if (typeof value === "string" && /^\d+$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Reshape a Graph listItem into the item JSON the SharePoint REST API
+ * returns, so rows, hashes and state look the same for both APIs. REST's
+ * `GUID`, `ComplianceAssetId` and `ServerRedirectedEmbedUri`/`Url` have no
+ * Graph counterpart and are missing.
+ * @param {object} graphItem - listItem with `fields` expanded
+ * @param {Array<string>|null} [select] - Fields the target selects (null = all)
+ * @returns {object}
+ */
+export function toRestItem(graphItem, select = null) {
+  const selected = name => !select || select.includes(name);
+  const item = {};
+
+  for (const [name, value] of Object.entries(graphItem.fields || {})) {
+    if (name.startsWith("@odata.") || name === "id" || GRAPH_ONLY_FIELDS.has(name)) continue;
+
+    const lookup = name.match(/^(.+)LookupId$/);
+    if (lookup) {
+      item[`${lookup[1]}Id`] = toLookupId(value);
+    } else {
+      item[name.startsWith("_") ? `OData_${name}` : name] = value;
+    }
+  }
+
+  const itemId = Number(graphItem.id);
+  item.Id = itemId;
+  item.ID = itemId;
+  if (item.Modified === undefined) item.Modified = graphItem.lastModifiedDateTime;
+  if (item.Created === undefined && graphItem.createdDateTime && selected("Created")) item.Created = graphItem.createdDateTime;
+
+  // Graph keeps the content type outside `fields`; folders have content types under 0x0120
+  const contentTypeId = graphItem.contentType?.id;
+  if (contentTypeId && selected("ContentTypeId")) item.ContentTypeId = contentTypeId;
+  if (contentTypeId && selected("FileSystemObjectType")) {
+    item.FileSystemObjectType = contentTypeId.startsWith("0x0120") ? 1 : 0;
+  }
+
+  return item;
+}
+
+/**
+ * Iterate over the list one page at a time
+ * @param {object} options
+ * @param {Array<string>} [options.select] - Restrict the fields returned for each item
+ * @param {string} [options.filter] - OData $filter the items must match (on `fields/<Field>`)
+ * @param {string} [options.startUrl] - Page URL to resume from (a saved `nextUrl`)
+ * @returns {AsyncGenerator<{url: string, items: Array<object>, nextUrl: string|null}>}
+ */
+export async function* iterateListItemPages(siteUrl, listName, token, options = {}) {
+  let nextUrl = options.startUrl ||
+    `${await getGraphListUrl(siteUrl, listName, token)}/items?$top=${PAGE_SIZE}&${buildExpand(options.select)}` +
+    (options.filter ? `&$filter=${encodeURIComponent(options.filter)}` : "");
+
+  while (nextUrl) {
+    const url = nextUrl;
+    const res = await graphRequest({
+      url,
+      token,
+      headers: { ...getHeaders(), ...(options.filter && FILTER_HEADERS) }
+    });
+
+    nextUrl = res.data["@odata.nextLink"] || null;
+
+    yield { url, items: (res.data.value || []).map(item => toRestItem(item, options.select)), nextUrl };
+  }
+}
+
+// Fetch specific items by ID (used by delta sync for changed items)
+// Items that no longer exist (or no longer match options.filter) are simply absent from the result
+export async function getListItemsByIds(siteUrl, listName, token, itemIds, options = {}) {
+  const listUrl = await getGraphListUrl(siteUrl, listName, token);
+  const listPath = listUrl.slice(`${getGraphBaseUrl()}/v1.0`.length);
+  const allItems = [];
+
+  for (let i = 0; i < itemIds.length; i += BATCH_SIZE) {
+    const batch = itemIds.slice(i, i + BATCH_SIZE);
+
+    const res = await graphRequest({
+      method: "post",
+      url: `${getGraphBaseUrl()}/v1.0/$batch`,
+      data: {
+        // With a filter, each item is queried through it, so items that no longer match come back empty
+        requests: batch.map(id => options.filter
+          ? {
+            id: String(id),
+            method: "GET",
+            url: `${listPath}/items?$filter=${encodeURIComponent(`id eq '${id}' and (${options.filter})`)}&${buildExpand(options.select)}`,
+            headers: FILTER_HEADERS
+          }
+          : {
+            id: String(id),
+            method: "GET",
+            url: `${listPath}/items/${id}?${buildExpand(options.select)}`
+          })
+      },
+      token,
+      headers: {
+        ...getHeaders(),
+        "Content-Type": "application/json"
+      }
+    }, {
+      // Throttled or failed sub-requests come back inside a 200 response, so check them on every attempt
+      checkResponse: checkBatchResponse
+    });
+
+    for (const response of res.data.responses || []) {
+      if (response.status !== 200) continue;
+      const items = options.filter ? response.body.value || [] : [response.body];
+      allItems.push(...items.map(item => toRestItem(item, options.select)));
+    }
+  }
+
+  return allItems;
+}
+
+// Turn a failed sub-response into an error; retryable ones (429, 5xx) retry the whole batch
+function checkBatchResponse(res) {
+  for (const response of res.data.responses || []) {
+    if (response.status === 200 || response.status === 404) continue;
+
+    const err = new Error(`Graph batch request ${response.id} failed with status ${response.status}`);
+    err.response = { status: response.status, headers: response.headers || {}, data: response.body };
+    throw err;
+  }
+  return res;
+}
+
+// Get a delta link for the list's current state (the starting point for the next delta sync)
+export async function getListChangeToken(siteUrl, listName, token) {
+  const listUrl = await getGraphListUrl(siteUrl, listName, token);
+  let url = `${listUrl}/items/delta?token=latest`;
+
+  // token=latest returns no items, only the delta link (possibly after a few empty pages)
+  while (url) {
+    const res = await graphRequest({
+      url,
+      token,
+      headers: getHeaders()
+    });
+
+    if (res.data["@odata.deltaLink"]) {
+      return res.data["@odata.deltaLink"];
+    }
+    url = res.data["@odata.nextLink"];
+  }
+
+  throw new Error(`Graph did not return a delta link for list '${listName}'`);
+}
+
+/**
+ * Get item changes since a delta link, reduced to the latest change per item
+ * @param {string} changeToken - Delta link saved by the previous sync
+ * @returns {Promise<{upserted: number[], deleted: number[]}>} Item IDs that were
+ *   added/updated and item IDs that were deleted
+ */
+export async function getListChanges(siteUrl, listName, token, changeToken) {
+  const deletedById = new Map(); // itemId -> deleted?
+  let url = changeToken;
+
+  while (url) {
+    const res = await graphRequest({
+      url,
+      token,
+      headers: getHeaders()
+    }, {
+      // An expired delta link will not recover; let the caller fall back to a full scan
+      shouldRetry: err => !isChangeTokenExpired(err) && isRetryableError(err)
+    });
+
+    for (const item of res.data.value || []) {
+      deletedById.set(Number(item.id), Boolean(item.deleted || item["@removed"]));
+    }
+
+    url = res.data["@odata.nextLink"] || null;
+  }
+
+  const upserted = [];
+  const deleted = [];
+  for (const [itemId, isDeleted] of deletedById.entries()) {
+    (isDeleted ? deleted : upserted).push(itemId);
+  }
+
+  return { upserted, deleted };
+}
+
+// Graph answers an expired delta link with 410 Gone (resyncRequired)
+export function isChangeTokenExpired(err) {
+  const status = err?.response?.status;
+  if (status === 410) return true;
+
+  const code = err?.response?.data?.error?.code;
+  return typeof code === "string" && /resync/i.test(code);
+}
@@ -0,0 +1,62 @@
+// src/hash.js
+import crypto from "crypto";
+
+// JSON with object keys sorted, so the same content always hashes the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Hash of a row's fields, independent of key order.
+ * OData annotations (odata.*, @odata.*) are ignored.
+ * @param {object} item - List item as returned by SharePoint
+ * @returns {string} Hex SHA-256
+ */
+export function hashRow(item) {
+  const fields = {};
+  for (const [key, value] of Object.entries(item)) {
+    if (key.startsWith("odata.") || key.startsWith("@odata.")) continue;
+    fields[key] = value;
+  }
+  return sha256(stableStringify(fields));
+}
+
+/**
+ * Hash identifying the content of a document library file from its size
+ * and ETag. The name is left out, so a rename alone is not new content.
+ * @param {{Length?: number|string, ETag?: string, TimeLastModified?: string}} file
+ * @returns {string} Hex SHA-256
+ */
+export function hashFile(file) {
+  return sha256(stableStringify({
+    size: file.Length !== undefined ? Number(file.Length) : null,
+    etag: file.ETag ?? null,
+    modified: file.ETag ? null : file.TimeLastModified ?? null
+  }));
+}
+
+/**
+ * Hash identifying an attachment version from its name, size and ETag
+ * @param {{FileName: string, Length?: number|string, ETag?: string, TimeLastModified?: string}} attachment
+ * @returns {string} Hex SHA-256
+ */
+export function hashAttachment(attachment) {
+  return sha256(stableStringify({
+    name: attachment.FileName,
+    size: attachment.Length !== undefined ? Number(attachment.Length) : null,
+    etag: attachment.ETag ?? null,
+    // Only used when SharePoint did not return an ETag
+    modified: attachment.ETag ? null : attachment.TimeLastModified ?? null
+  }));
+}
@@ -0,0 +1,136 @@
+// src/health.js
+import http from "http";
+import { getHealthSnapshot, renderMetrics } from "./metrics.js";
+import { getRequestStats } from "./http.js";
+import { logger } from "./logger.js";
+
+function getSettings() {
+  return {
+    port: parseInt(process.env.HEALTH_PORT || "0", 10),
+    // 0 = three poll intervals of the target
+    maxSyncAgeSeconds: parseInt(process.env.HEALTH_MAX_SYNC_AGE_SECONDS || "0", 10),
+    stallSeconds: parseInt(process.env.HEALTH_STALL_SECONDS || "900", 10)
+  };
+}
+
+/**
+ * Liveness: the process answers, and a running sync is still making
+ * requests. A sync that has not sent or finished a request for
+ * HEALTH_STALL_SECONDS is considered stuck.
+ * @returns {{ok: boolean, checks: object}}
+ */
+export function checkLiveness(settings = getSettings()) {
+  const snapshot = getHealthSnapshot();
+  const now = Date.now();
+  const checks = {};
+
+  for (const [name, target] of Object.entries(snapshot.targets)) {
+    if (!target.syncStartedAt) continue;
+
+    const lastActivityAt = Math.max(target.syncStartedAt, snapshot.lastRequestAt);
+    const idleSeconds = Math.round((now - lastActivityAt) / 1000);
+    checks[name] = idleSeconds > settings.stallSeconds
+      ? { ok: false, reason: `sync running with no request for ${idleSeconds} seconds` }
+      : { ok: true };
+  }
+
+  return { ok: Object.values(checks).every(check => check.ok), checks };
+}
+
+/**
+ * Readiness: the last token request succeeded and every target has synced
+ * successfully within its maximum age (HEALTH_MAX_SYNC_AGE_SECONDS, or three
+ * poll intervals)
+ * @param {Array<object>} targets - Sync targets (see config.js)
+ * @returns {{ok: boolean, checks: object}}
+ */
+export function checkReadiness(targets, settings = getSettings()) {
+  const snapshot = getHealthSnapshot();
+  const now = Date.now();
+  const { tokens } = snapshot;
+
+  const checks = {
+    token: !tokens.lastSuccessAt
+      ? { ok: false, reason: "no token acquired yet" }
+      : tokens.lastFailureAt > tokens.lastSuccessAt
+        ? { ok: false, reason: `last token request failed: ${tokens.lastError}` }
+        : { ok: true }
+  };
+
+  for (const target of targets) {
+    const state = snapshot.targets[target.name];
+    const maxAgeSeconds = settings.maxSyncAgeSeconds || target.pollIntervalSeconds * 3;
+
+    if (!state?.lastSuccessAt) {
+      checks[target.name] = { ok: false, reason: "no successful sync yet" };
+      continue;
+    }
+
+    const ageSeconds = Math.round((now - state.lastSuccessAt) / 1000);
+    checks[target.name] = ageSeconds > maxAgeSeconds
+      ? { ok: false, reason: `last successful sync ${ageSeconds} seconds ago (limit ${maxAgeSeconds})` }
+      : { ok: true, last_success_seconds_ago: ageSeconds };
+  }
+
+  return { ok: Object.values(checks).every(check => check.ok), checks };
+}
+
+function sendJson(res, result) {
+  res.writeHead(result.ok ? 200 : 503, { "Content-Type": "application/json" });
+  res.end(JSON.stringify({ status: result.ok ? "ok" : "unavailable", checks: result.checks }, null, 2));
+}
+
+/**
+ * Serve /healthz, /readyz and /metrics (Prometheus) on HEALTH_PORT. Does
+ * nothing when HEALTH_PORT is not set. The server does not keep the process
+ * alive on its own, so single runs still exit when they are done.
+ * @param {Array<object>} targets - Sync targets (see config.js)
+ * @param {object} options
+ * @param {() => boolean} [options.isShuttingDown] - Report not ready while shutting down
+ * @returns {http.Server|null}
+ */
+export function startHealthServer(targets, options = {}) {
+  const settings = getSettings();
+  if (!settings.port) return null;
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { Allow: "GET, HEAD" });
+      res.end();
+      return;
+    }
+
+    switch (pathname) {
+      case "/healthz":
+        sendJson(res, checkLiveness(settings));
+        return;
+      case "/readyz":
+        if (options.isShuttingDown?.()) {
+          sendJson(res, { ok: false, checks: { shutdown: { ok: false, reason: "shutting down" } } });
+          return;
+        }
+        sendJson(res, checkReadiness(targets, settings));
+        return;
+      case "/metrics":
+        res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+        res.end(renderMetrics(getRequestStats()));
+        return;
+      default:
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        res.end("Not found\n");
+    }
+  });
+
+  server.on("error", err => {
+    // Monitoring is optional; never take the sync down with it
+    logger.warn("Health server failed", { error: err });
+  });
+  server.listen(settings.port, () => {
+    logger.info("Health server listening (/healthz, /readyz, /metrics)", { port: settings.port });
+  });
+  server.unref();
+
+  return server;
+}
@@ -0,0 +1,288 @@
+// src/http.js
+import "dotenv/config";
+import axios from "axios";
+import { observeRequest } from "./metrics.js";
+import { logger } from "./logger.js";
+
+// HTTP statuses worth retrying (timeouts, throttling, transient server errors)
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Network-level failures worth retrying
+const RETRYABLE_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "ERR_SOCKET_CONNECTION_TIMEOUT"
+]);
+
+// AWS error names that mean "try again"
+const RETRYABLE_AWS_ERRORS = new Set([
+  "SlowDown",
+  "Throttling",
+  "ThrottlingException",
+  "RequestTimeout",
+  "RequestTimeTooSkewed",
+  "InternalError",
+  "ServiceUnavailable",
+  "TimeoutError"
+]);
+
+/**
+ * Thrown instead of sending a request while a service's circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(service, retryAt) {
+    super(`Circuit for ${service} is open after repeated failures; retry after ${new Date(retryAt).toISOString()}`);
+    this.name = "CircuitOpenError";
+    this.service = service;
+    this.retryAt = retryAt;
+  }
+}
+
+let settings; // singleton
+const services = new Map(); // service name -> { throttledUntil, breaker, stats }
+
+function getSettings() {
+  if (settings) return settings;
+
+  settings = {
+    maxRetries: parseInt(process.env.HTTP_MAX_RETRIES || "5", 10),
+    baseDelayMs: parseInt(process.env.HTTP_RETRY_BASE_MS || "1000", 10),
+    maxDelayMs: parseInt(process.env.HTTP_RETRY_MAX_MS || "60000", 10),
+    breakerThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD || "5", 10),
+    breakerCooldownMs: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_SECONDS || "60", 10) * 1000
+  };
+  return settings;
+}
+
+function getService(name) {
+  if (!services.has(name)) {
+    services.set(name, {
+      // Throttling applies to the whole app, so parallel callers share one gate
+      throttledUntil: 0,
+      breaker: { consecutiveFailures: 0, openUntil: 0 },
+      stats: { requests: 0, retries: 0, throttled: 0, failures: 0 }
+    });
+  }
+  return services.get(name);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// axios, AWS SDK, Azure SDK (statusCode) and GCS (numeric code) errors
+function getStatus(err) {
+  return err?.response?.status ?? err?.$metadata?.httpStatusCode ?? err?.statusCode ??
+    (typeof err?.code === "number" ? err.code : undefined);
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function getRetryAfterMs(err) {
+  const headers = err?.response?.headers || err?.$response?.headers;
+  if (!headers) return null;
+  return parseRetryAfter(headers["retry-after"] ?? headers["Retry-After"]);
+}
+
+function isThrottle(err) {
+  const status = getStatus(err);
+  return status === 429 || status === 503 || err?.name === "SlowDown" || err?.$retryable?.throttling === true;
+}
+
+/**
+ * Default classification of transient errors (HTTP status, network error
+ * code or AWS error name)
+ */
+export function isRetryableError(err) {
+  if (!err || err instanceof CircuitOpenError) return false;
+
+  const status = getStatus(err);
+  if (status !== undefined && RETRYABLE_STATUSES.has(status)) return true;
+  if (err.code && RETRYABLE_ERROR_CODES.has(err.code)) return true;
+  if (err.name && RETRYABLE_AWS_ERRORS.has(err.name)) return true;
+  if (err.$retryable) return true;
+
+  // Axios network error without a response
+  return Boolean(err.isAxiosError && !err.response && err.request);
+}
+
+// Exponential backoff with full jitter
+function getBackoffMs(attempt) {
+  const { baseDelayMs, maxDelayMs } = getSettings();
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+function checkCircuit(name, service) {
+  const { breaker } = service;
+  if (breaker.openUntil > Date.now()) {
+    throw new CircuitOpenError(name, breaker.openUntil);
+  }
+}
+
+function recordOutcome(name, service, succeeded) {
+  const { breakerThreshold, breakerCooldownMs } = getSettings();
+  const { breaker } = service;
+
+  if (succeeded) {
+    breaker.consecutiveFailures = 0;
+    return;
+  }
+
+  breaker.consecutiveFailures++;
+  if (breaker.consecutiveFailures >= breakerThreshold) {
+    breaker.openUntil = Date.now() + breakerCooldownMs;
+    // Half-open: the next request after the cooldown gets one attempt to close the circuit
+    breaker.consecutiveFailures = breakerThreshold - 1;
+    logger.warn("Circuit opened after repeated failures", { service: name, cooldown_seconds: breakerCooldownMs / 1000 });
+  }
+}
+
+/**
+ * Run a request with retries, Retry-After handling and a per-service
+ * circuit breaker
+ * @param {string} name - Service name, e.g. "sharepoint" or "s3"
+ * @param {() => Promise<any>} fn - Sends the request; called once per attempt
+ * @param {object} options
+ * @param {(err: Error) => boolean} [options.shouldRetry] - Override the default retry classification
+ * @returns {Promise<any>}
+ */
+export async function withRetry(name, fn, options = {}) {
+  const service = getService(name);
+  const { maxRetries } = getSettings();
+  const shouldRetry = options.shouldRetry || isRetryableError;
+
+  for (let attempt = 0; ; attempt++) {
+    checkCircuit(name, service);
+
+    const waitMs = service.throttledUntil - Date.now();
+    if (waitMs > 0) {
+      await sleep(waitMs);
+    }
+
+    service.stats.requests++;
+    const attemptStartedAt = Date.now();
+    try {
+      const result = await fn();
+      observeRequest(name, Date.now() - attemptStartedAt);
+      recordOutcome(name, service, true);
+      return result;
+    } catch (err) {
+      observeRequest(name, Date.now() - attemptStartedAt);
+      const retryable = shouldRetry(err);
+      if (!retryable || attempt >= maxRetries) {
+        // Only transient failures count as service failures (a 404 is an answer)
+        if (retryable) {
+          service.stats.failures++;
+          recordOutcome(name, service, false);
+        }
+        throw err;
+      }
+
+      service.stats.retries++;
+      let delayMs = getRetryAfterMs(err) ?? getBackoffMs(attempt);
+
+      if (isThrottle(err)) {
+        service.stats.throttled++;
+        service.throttledUntil = Math.max(service.throttledUntil, Date.now() + delayMs);
+        delayMs = 0; // the shared gate does the waiting
+        logger.warn("Request throttled, pausing", {
+          service: name,
+          status: getStatus(err),
+          pause_seconds: Math.ceil((service.throttledUntil - Date.now()) / 1000)
+        });
+      } else {
+        logger.warn("Request failed, retrying", {
+          service: name,
+          reason: getStatus(err) ?? err.code ?? err.name,
+          retry: attempt + 1,
+          max_retries: maxRetries,
+          delay_ms: delayMs
+        });
+      }
+
+      if (delayMs > 0) {
+        await sleep(delayMs);
+      }
+    }
+  }
+}
+
+/**
+ * Send an axios request through the retry layer
+ * @param {string} name - Service name
+ * @param {object} config - axios request config, plus an optional `token`: a
+ *   bearer token or a token provider (see auth.js). A provider is asked on
+ *   every attempt, and once more with `forceRefresh` after a 401.
+ * @param {object} options - See withRetry
+ * @param {(res: object) => object} [options.checkResponse] - Inspect a successful
+ *   response; throwing from it counts as a failed attempt
+ */
+export function httpRequest(name, config, options = {}) {
+  const { token, ...axiosConfig } = config;
+  const shouldRetry = options.shouldRetry || isRetryableError;
+  let forceRefresh = false; // the next attempt bypasses the token cache
+  let refreshed = false; // a 401 already got a new token
+
+  return withRetry(name, async () => {
+    let request = axiosConfig;
+    if (token) {
+      const accessToken = typeof token === "function" ? await token({ forceRefresh }) : token;
+      // Only the attempt right after the 401; later retries use the cache again
+      forceRefresh = false;
+      request = { ...axiosConfig, headers: { ...axiosConfig.headers, Authorization: `Bearer ${accessToken}` } };
+    }
+
+    const res = await axios(request);
+    return options.checkResponse ? options.checkResponse(res) : res;
+  }, {
+    shouldRetry: err => {
+      // The token may have expired or been revoked mid-sync; get a new one once
+      if (getStatus(err) === 401 && typeof token === "function" && !refreshed) {
+        refreshed = true;
+        forceRefresh = true;
+        return true;
+      }
+      return shouldRetry(err);
+    }
+  });
+}
+
+/**
+ * Snapshot of request counters per service
+ * @returns {Object<string, {requests: number, retries: number, throttled: number, failures: number}>}
+ */
+export function getRequestStats() {
+  const snapshot = {};
+  for (const [name, service] of services.entries()) {
+    snapshot[name] = { ...service.stats };
+  }
+  return snapshot;
+}
+
+/**
+ * Difference between two getRequestStats() snapshots (counters for one sync)
+ */
+export function diffRequestStats(before, after) {
+  const diff = {};
+  for (const [name, stats] of Object.entries(after)) {
+    const prev = before[name] || {};
+    diff[name] = {};
+    for (const [key, value] of Object.entries(stats)) {
+      diff[name][key] = value - (prev[key] || 0);
+    }
+  }
+  return diff;
+}
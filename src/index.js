@@ -1,9 +1,60 @@
 // src/index.js
 import "dotenv/config";
-import { getAccessToken } from "./auth.js";
-import { getListItems, getAttachments, downloadAttachment } from "./sharepoint.js";
-import { uploadToS3, uploadJSONToS3 } from "./s3.js";
+import fs from "fs";
+import { randomUUID } from "crypto";
+import { getSharePointTokenProvider, getGraphTokenProvider } from "./auth.js";
+import * as sharePointApi from "./sharepoint.js";
+import {
+  getAttachmentsWithDetails,
+  downloadAttachmentStream,
+  iterateLibraryFolders,
+  downloadFileStream,
+  getItemVersions,
+  getItemApiUrl
+} from "./sharepoint.js";
+import * as graphApi from "./graph.js";
+import {
+  uploadObject,
+  uploadJSON,
+  downloadObject,
+  deleteObject,
+  uploadStream,
+  abortStaleUploads,
+  ObjectTooLargeError,
+  getObjectUrl
+} from "./storage/index.js";
 import StateTracker from "./state.js";
+import { hashRow, hashAttachment, hashFile } from "./hash.js";
+import { BatchRowWriter } from "./output.js";
+import { ChangeLogWriter } from "./changelog.js";
+import { discoverSchema, compareSchema, saveSchema, getExpandQuery, normalizeRow } from "./schema.js";
+import { compileFieldRules, applyFieldRules } from "./fields.js";
+import { getObjectOptions } from "./tagging.js";
+import { canExtractText, extractText } from "./extract/index.js";
+import { SyncPlan } from "./plan.js";
+import { ReconcileReport } from "./reconcile.js";
+import { LeaseLock, LockHeldError } from "./lock.js";
+import {
+  getColumnMappings,
+  generateSetup,
+  generateMigration,
+  loadDdlState,
+  saveDdlState,
+  formatStatements
+} from "./ddl.js";
+import { executeStatement } from "./snowflake.js";
+import { loadTargets } from "./config.js";
+import { runWithConcurrency } from "./pool.js";
+import { getRequestStats, diffRequestStats, CircuitOpenError } from "./http.js";
+import { recordSyncStart, recordSyncSuccess, recordSyncFailure, recordSyncStopped } from "./metrics.js";
+import { startHealthServer } from "./health.js";
+import { logger, withLogContext, getLogCounts, redact } from "./logger.js";
+
+// Item reads go through the API chosen per target; attachments and schema always use REST
+const LIST_APIS = {
+  rest: sharePointApi,
+  graph: graphApi
+};
 
 // Graceful shutdown handling
 let isShuttingDown = false;
@@ -32,74 +83,365 @@ function getContentType(fileName) {
   return types[ext] || 'application/octet-stream';
 }
 
-async function processItem(siteUrl, listName, item, token, stateTracker, s3Prefix) {
-  const itemId = item.Id;
-  const modified = item.Modified || new Date().toISOString();
-  
-  // Determine operation type
-  const operationType = stateTracker.getOperationType(itemId, modified);
-  
-  // Always fetch attachment metadata for state tracking (lightweight API call)
-  const attachments = await getAttachments(siteUrl, listName, itemId, token);
-  
-  // Record item in current state - CRITICAL: must happen for ALL items
-  stateTracker.recordItem(itemId, modified, attachments.length);
-  
-  // Skip upload if unchanged and SKIP_UNCHANGED is enabled
-  if (operationType === 'unchanged' && process.env.SKIP_UNCHANGED === 'true') {
-    // Only log every 100th unchanged item to reduce noise
-    if (itemId % 100 === 0) {
-      console.log(`  Skipped ${itemId} unchanged items so far...`);
-    }
-    return;
-  }
-
-  console.log(`Processing item ${itemId} [${operationType.toUpperCase()}]...`);
-  console.log(`  Found ${attachments.length} attachments for item ${itemId}.`);
-
-  // S3 key prefix for this item
-  const itemPrefix = `${s3Prefix}list=${listName}/item_id=${itemId}/`;
+/**
+ * Stream a SharePoint download straight into storage, skipping files over
+ * `maxAttachmentSizeMB`
+ * @param {{stream: import("stream").Readable, contentLength: number|null}} download
+ * @param {string} label - "attachment" or "file", for log lines
+ * @param {number} itemId - For log lines
+ * @returns {Promise<{size: number}|{skipReason: string}>}
+ */
+async function transferToStorage(target, download, key, fileName, label, itemId, objectOptions) {
+  const { stream, contentLength } = download;
+  const maxBytes = target.maxAttachmentSizeMB * 1024 * 1024;
+
+  try {
+    if (maxBytes && contentLength !== null && contentLength > maxBytes) {
+      stream.destroy();
+      throw new ObjectTooLargeError(key, maxBytes);
+    }
+
+    const { size, parts } = await uploadStream(key, stream, getContentType(fileName), {
+      partSize: target.partSizeMB * 1024 * 1024,
+      maxBytes,
+      ...objectOptions
+    });
+    logger.debug(`Uploaded ${label}`, { item_id: itemId, file_name: fileName, size, parts, url: getObjectUrl(key) });
+
+    return { size };
+  } catch (err) {
+    if (!(err instanceof ObjectTooLargeError)) throw err;
+
+    logger.warn(`Skipped ${label} larger than ${target.maxAttachmentSizeMB} MB`, { item_id: itemId, file_name: fileName });
+    return { skipReason: err.message };
+  }
+}
+
+/**
+ * Stream one attachment from SharePoint into storage
+ * @param {object} meta - Metadata entry for the attachment
+ * @returns {Promise<object>} The metadata entry, with size or skip reason
+ */
+async function uploadAttachment(run, itemId, att, meta, tagFields) {
+  const { target, token } = run;
+  const { siteUrl, listName } = target;
+
+  // Stream the binary content from the REST $value endpoint straight into storage
+  const download = await downloadAttachmentStream(
+    siteUrl,
+    listName,
+    itemId,
+    att.FileName,
+    token
+  );
+
+  const result = await transferToStorage(target, download, meta.s3_key, att.FileName, "attachment", itemId,
+    getObjectOptions(target, "attachment", { item: tagFields, itemId, sourceUrl: meta.download_url }));
+
+  // Too large to sync: keep it in the metadata with the reason it is missing
+  return result.skipReason
+    ? skippedAttachmentMeta(meta, result.skipReason)
+    : { ...meta, size_bytes: result.size };
+}
+
+/**
+ * Extract the text of a stored attachment into two sidecars next to it:
+ * `attachments_text/NAME.txt` (the text) and `attachments_text/NAME.json`
+ * (document metadata). Files that cannot be read are skipped with a reason.
+ * @param {object} meta - Metadata entry of the attachment, after its upload
+ * @param {object} [previousText] - The `text` entry of the previous sync, whose sidecars a skip removes
+ * @returns {Promise<object>} The `text` entry of the attachment's metadata
+ */
+async function extractAttachmentText(run, itemId, meta, previousText, tagFields) {
+  const { target, counters } = run;
+  const textPrefix = `${target.s3Prefix}list=${target.listName}/item_id=${itemId}/attachments_text/${meta.safe_file_name}`;
+  const textKey = `${textPrefix}.txt`;
+  const metadataKey = `${textPrefix}.json`;
+
+  const skip = async (reason) => {
+    // Sidecars of an earlier version of the file would no longer match it
+    if (previousText?.s3_key) {
+      await deleteObject(textKey);
+      await deleteObject(metadataKey);
+    }
+    counters.textSkipped++;
+    logger.debug("Skipped text extraction", { item_id: itemId, file_name: meta.file_name, reason });
+    return { skipped: true, skip_reason: reason };
+  };
+
+  if (meta.skipped) return skip("The attachment was not synced");
+  if (!canExtractText(meta.file_name)) return skip("Unsupported file type");
+  if (target.extractMaxSizeMB > 0 && meta.size_bytes > target.extractMaxSizeMB * 1024 * 1024) {
+    return skip(`Larger than ${target.extractMaxSizeMB} MB`);
+  }
 
-  // Add operation metadata to item
-  const itemWithMetadata = {
-    ...item,
+  // Read back what was just stored rather than downloading it from SharePoint again.
+  // A file that cannot be read (e.g. archived to Glacier) is skipped like one that cannot be parsed.
+  let extracted;
+  try {
+    extracted = extractText(meta.file_name, await downloadObject(meta.s3_key));
+  } catch (err) {
+    logger.warn("Could not extract text", { item_id: itemId, file_name: meta.file_name, error: err.message });
+    return skip(err.message);
+  }
+
+  const objectOptions = getObjectOptions(target, "row", { item: tagFields, itemId, sourceUrl: meta.download_url });
+  await uploadObject(textKey, extracted.text, "text/plain; charset=utf-8", objectOptions);
+  await uploadJSON(metadataKey, {
+    item_id: itemId,
+    file_name: meta.file_name,
+    source_s3_key: meta.s3_key,
+    text_s3_key: textKey,
+    characters: extracted.text.length,
+    truncated: extracted.truncated,
+    document: extracted.metadata,
+    extracted_at: new Date().toISOString()
+  }, objectOptions);
+  counters.textExtracted++;
+
+  return {
+    s3_key: textKey,
+    s3_url: getObjectUrl(textKey),
+    metadata_s3_key: metadataKey,
+    characters: extracted.text.length,
+    truncated: extracted.truncated
+  };
+}
+
+function skippedAttachmentMeta(meta, reason) {
+  return {
+    ...meta,
+    s3_key: null,
+    s3_url: null,
+    skipped: true,
+    skip_reason: reason
+  };
+}
+
+// Write an attachment-level deletion marker for a file removed from an item
+async function processRemovedAttachment(target, itemId, removed) {
+  const { listName, s3Prefix } = target;
+  const markerKey = `${s3Prefix}list=${listName}/item_id=${itemId}/attachment_deletions/${sanitizeFileName(removed.fileName)}.json`;
+
+  const deletionMarker = {
+    item_id: itemId,
+    file_name: removed.fileName,
     _sync_metadata: {
-      operation_type: operationType,
+      operation_type: 'delete',
       synced_at: new Date().toISOString(),
-      attachment_count: attachments.length,
+      deleted_at: new Date().toISOString(),
       list_name: listName
-    }
+    },
+    note: "This attachment was present in previous sync but has been removed from the item"
   };
 
-  // 2) Upload the row JSON to S3
-  const rowKey = `${itemPrefix}row.json`;
-  await uploadJSONToS3(rowKey, itemWithMetadata);
-  console.log(`  Uploaded row data to S3: s3://${process.env.S3_BUCKET}/${rowKey}`);
+  await uploadJSON(markerKey, deletionMarker);
+  logger.debug("Created attachment deletion marker", { item_id: itemId, file_name: removed.fileName, url: getObjectUrl(markerKey) });
+}
 
-  const attachmentsMeta = [];
+// Properties that describe a version rather than the item's fields
+const VERSION_PROPERTIES = new Set(["VersionId", "VersionLabel", "IsCurrentVersion"]);
 
-  for (const att of attachments) {
-    const safeFileName = sanitizeFileName(att.FileName);
-    const contentType = getContentType(att.FileName);
+/**
+ * Write the versions of an item created since the last sync, one file per
+ * version under `item_id=ID/versions/LABEL.json`
+ * @param {number} [lastVersionId] - Newest version written by an earlier sync
+ * @returns {Promise<number|undefined>} Newest version written
+ */
+async function syncItemVersions(run, itemId, lastVersionId) {
+  const { target, token, counters, rawFieldRules } = run;
+  const { siteUrl, listName, s3Prefix } = target;
+  const versionsPrefix = `${s3Prefix}list=${listName}/item_id=${itemId}/versions/`;
 
-    // Download the binary content via REST $value endpoint
-    const content = await downloadAttachment(
-      siteUrl,
-      listName,
-      itemId,
-      att.FileName,
-      token
-    );
+  // Versions always come from REST, also for Graph and library targets
+  const versions = (await getItemVersions(siteUrl, listName, itemId, token))
+    .filter(version => lastVersionId === undefined || version.VersionId > lastVersionId);
+  if (versions.length === 0) return lastVersionId;
 
-    // S3 key for attachment
-    const attachmentKey = `${itemPrefix}attachments/${safeFileName}`;
-    await uploadToS3(attachmentKey, content, contentType);
-    console.log(`    Uploaded attachment to S3: s3://${process.env.S3_BUCKET}/${attachmentKey}`);
+  await runWithConcurrency(versions, target.attachmentConcurrency, async (version) => {
+    const versionFields = {};
+    for (const [name, value] of Object.entries(version)) {
+      if (VERSION_PROPERTIES.has(name) || name.startsWith("odata.")) continue;
+      versionFields[name] = value;
+    }
+    const fields = applyFieldRules(versionFields, rawFieldRules);
+    const editor = version.Editor
+      ? { id: version.Editor.LookupId ?? null, name: version.Editor.LookupValue ?? null, email: version.Editor.Email ?? null }
+      : null;
 
-    const origin = new URL(siteUrl).origin;
+    await uploadJSON(`${versionsPrefix}${sanitizeFileName(version.VersionLabel)}.json`, {
+      item_id: itemId,
+      version_id: version.VersionId,
+      version_label: version.VersionLabel,
+      is_current_version: Boolean(version.IsCurrentVersion),
+      created: version.Created ?? null,
+      // The editor follows the rules of the Editor field
+      editor: editor ? applyFieldRules({ Editor: editor }, rawFieldRules).Editor ?? null : null,
+      fields,
+      _sync_metadata: {
+        synced_at: new Date().toISOString(),
+        list_name: listName,
+        ...(rawFieldRules && { field_rules: rawFieldRules.summary })
+      }
+    }, getObjectOptions(target, "row", { item: fields, itemId, sourceUrl: getItemApiUrl(siteUrl, listName, itemId) }));
+  });
+
+  counters.versions += versions.length;
+  logger.debug("Uploaded versions", {
+    item_id: itemId,
+    versions: versions.map(version => version.VersionLabel),
+    url: getObjectUrl(versionsPrefix)
+  });
+  return versions[versions.length - 1].VersionId;
+}
+
+/**
+ * Sync one list item (row, attachments and attachment metadata).
+ * Only the row and the attachment files whose hashes changed are uploaded.
+ * @returns {Promise<boolean>} false if the item was skipped as unchanged
+ */
+async function processItem(run, item) {
+  const { target, token, stateTracker, rowWriter, changeLog, schema } = run;
+  const { siteUrl, listName, s3Prefix } = target;
+  const itemId = item.Id;
+  const modified = item.Modified || new Date().toISOString();
+  // The rules are part of the hash, so changing them rewrites every row once
+  const rowHash = hashRow(run.fieldRules ? { ...item, _field_rules: run.fieldRules.summary } : item);
+  const row = applyFieldRules(target.normalize ? normalizeRow(item, schema) : item, run.fieldRules);
+  // Fields available to object tags and metadata, by REST property name
+  const tagFields = applyFieldRules(item, run.rawFieldRules);
+
+  // Determine operation type of the row itself
+  const rowOperation = stateTracker.getOperationType(itemId, modified, rowHash);
+
+  // Always fetch attachment metadata for state tracking (lightweight API calls)
+  const attachments = (await getAttachmentsWithDetails(siteUrl, listName, itemId, token))
+    .map(att => ({ ...att, hash: hashAttachment(att) }));
+
+  const { statuses, removed } = stateTracker.diffAttachments(
+    itemId,
+    attachments.map(att => ({ fileName: att.FileName, hash: att.hash })),
+    rowOperation
+  );
+  const attachmentsChanged = removed.length > 0 ||
+    [...statuses.values()].some(status => status !== 'unchanged');
+
+  // An unchanged row still counts as an update when its attachments changed
+  const operationType = rowOperation === 'unchanged' && attachmentsChanged ? 'update' : rowOperation;
+  const previousEntry = stateTracker.previousState.get(itemId.toString());
+  const previousAttachments = previousEntry?.attachments || {};
+
+  // Reconcile: re-upload the item when objects an earlier sync wrote are gone
+  let repair = false;
+  if (run.reconcile) {
+    const unchanged = attachments.filter(att => statuses.get(att.FileName) === 'unchanged');
+    const textKeys = fileName => [`attachments_text/${fileName}.txt`, `attachments_text/${fileName}.json`];
+    const attachmentKeys = attachments.flatMap(att => {
+      const safeFileName = sanitizeFileName(att.FileName);
+      return [`attachments/${safeFileName}`, ...textKeys(safeFileName)];
+    });
+    const expected = previousEntry
+      ? [
+        ...(target.outputFormats.includes("item") ? ["row.json"] : []),
+        "attachments_meta.json",
+        ...unchanged
+          .filter(att => !previousAttachments[att.FileName]?.skipReason)
+          .map(att => `attachments/${sanitizeFileName(att.FileName)}`),
+        ...unchanged
+          .filter(att => previousAttachments[att.FileName]?.text?.s3_key)
+          .flatMap(att => textKeys(sanitizeFileName(att.FileName)))
+      ]
+      : [];
+    repair = run.reconcile.checkItem(itemId, expected, ["row.json", "attachments_meta.json", ...attachmentKeys]);
+  }
+
+  // Dry run: note what would be written and stop before writing it
+  if (run.plan) {
+    for (const att of attachments) {
+      run.plan.addAttachment(itemId, att.FileName, statuses.get(att.FileName), att.Length ?? previousAttachments[att.FileName]?.size);
+    }
+    for (const removedAttachment of removed) {
+      run.plan.addAttachment(itemId, removedAttachment.fileName, 'delete', removedAttachment.size);
+    }
+    run.plan.addItem(itemId, operationType, { modified });
+    stateTracker.recordItem(itemId, modified, attachments.length, { rowHash, operation: operationType });
+    return operationType !== 'unchanged';
+  }
+
+  // Attachments synced before text extraction was turned on still need it
+  const textPending = target.extractText && attachments.some(att =>
+    previousAttachments[att.FileName] && !previousAttachments[att.FileName].text);
+
+  // Skip upload if unchanged and skipUnchanged is enabled for this target
+  if (operationType === 'unchanged' && target.skipUnchanged && !repair && !textPending) {
+    const attachmentState = {};
+    for (const att of attachments) {
+      attachmentState[att.FileName] = { ...previousAttachments[att.FileName], hash: att.hash };
+    }
+    stateTracker.recordAttachmentOperation('unchanged', attachments.length);
+
+    // Record item in current state - CRITICAL: must happen for ALL items
+    stateTracker.recordItem(itemId, modified, attachments.length, {
+      rowHash,
+      attachments: attachmentState,
+      operation: operationType
+    });
+    return false;
+  }
+
+  // Without skipUnchanged every row and attachment is re-uploaded (original behaviour)
+  const uploadAll = !target.skipUnchanged || repair;
+
+  logger.info("Processing item", {
+    item_id: itemId,
+    operation: operationType,
+    attachments: attachments.length,
+    ...(repair && { repair: true })
+  });
+
+  // Object key prefix for this item
+  const itemPrefix = `${s3Prefix}list=${listName}/item_id=${itemId}/`;
+
+  // 2) Upload the row JSON (only when the row itself changed)
+  let itemWithMetadata = null;
+  if (rowOperation !== 'unchanged' || uploadAll) {
+    // Add operation metadata to item
+    itemWithMetadata = {
+      ...row,
+      _sync_metadata: {
+        operation_type: operationType,
+        synced_at: new Date().toISOString(),
+        attachment_count: attachments.length,
+        list_name: listName,
+        ...(run.fieldRules && { field_rules: run.fieldRules.summary })
+      }
+    };
+
+    if (target.outputFormats.includes("item")) {
+      const rowKey = `${itemPrefix}row.json`;
+      await uploadJSON(rowKey, itemWithMetadata,
+        getObjectOptions(target, "row", { item: tagFields, itemId, sourceUrl: getItemApiUrl(siteUrl, listName, itemId) }));
+      logger.debug("Uploaded row data", { item_id: itemId, url: getObjectUrl(rowKey) });
+    }
+  }
+
+  // Versions made between polls; only inserted or edited rows can have new ones
+  let lastVersionId = previousEntry?.lastVersionId;
+  if (target.versionHistory && rowOperation !== 'unchanged') {
+    lastVersionId = await syncItemVersions(run, itemId, lastVersionId);
+  }
+
+  const origin = new URL(siteUrl).origin;
+
+  // Transfer changed attachments in parallel; results keep the SharePoint order
+  const attachmentsMeta = await runWithConcurrency(attachments, target.attachmentConcurrency, async (att) => {
+    const safeFileName = sanitizeFileName(att.FileName);
+
+    // Object key for attachment
+    const attachmentKey = `${itemPrefix}attachments/${safeFileName}`;
 
     // Build metadata object
-    attachmentsMeta.push({
+    const meta = {
       list_name: listName,
       item_id: itemId,
       file_name: att.FileName,
@@ -107,20 +449,290 @@ async function processItem(siteUrl, listName, item, token, stateTracker, s3Prefi
       server_relative_url: att.ServerRelativeUrl,
       download_url: `${origin}${att.ServerRelativeUrl}`,
       s3_key: attachmentKey,
-      s3_url: `s3://${process.env.S3_BUCKET}/${attachmentKey}`
-    });
+      s3_url: `${getObjectUrl(attachmentKey)}`,
+      etag: att.ETag ?? null
+    };
+
+    const status = statuses.get(att.FileName);
+    const previous = previousAttachments[att.FileName];
+    let result;
+    if (status === 'unchanged' && !uploadAll) {
+      stateTracker.recordAttachmentOperation('unchanged');
+      result = previous?.skipReason
+        ? skippedAttachmentMeta(meta, previous.skipReason)
+        : { ...meta, size_bytes: att.Length ?? previous?.size ?? null };
+      // The text of an unchanged file is still the same
+      if (target.extractText && previous?.text) return { ...result, text: previous.text };
+    } else {
+      result = await uploadAttachment(run, itemId, att, meta, tagFields);
+      stateTracker.recordAttachmentOperation(status);
+    }
+
+    if (!target.extractText) return result;
+    return { ...result, text: await extractAttachmentText(run, itemId, result, previous?.text, tagFields) };
+  });
+
+  // Attachments removed from the item since the previous sync
+  for (const removedAttachment of removed) {
+    await processRemovedAttachment(target, itemId, removedAttachment);
+    stateTracker.recordAttachmentOperation('delete');
   }
 
-  // 3) Upload attachments metadata to S3 (even if empty)
+  // 3) Upload attachments metadata (even if empty)
   const metaKey = `${itemPrefix}attachments_meta.json`;
-  await uploadJSONToS3(metaKey, attachmentsMeta);
-  console.log(`  Uploaded attachments metadata to S3: s3://${process.env.S3_BUCKET}/${metaKey}`);
+  await uploadJSON(metaKey, attachmentsMeta);
+  logger.debug("Uploaded attachments metadata", { item_id: itemId, url: getObjectUrl(metaKey) });
+
+  const attachmentState = {};
+  attachments.forEach((att, index) => {
+    attachmentState[att.FileName] = {
+      hash: att.hash,
+      size: attachmentsMeta[index].size_bytes ?? null,
+      skipReason: attachmentsMeta[index].skip_reason,
+      text: attachmentsMeta[index].text
+    };
+  });
+
+  if (operationType !== 'unchanged') {
+    await changeLog.add(operationType, {
+      itemId,
+      modifiedBefore: previousEntry?.modified,
+      modifiedAfter: modified,
+      rowHash,
+      data: row
+    });
+  }
+
+  // Batch formats (NDJSON/Parquet) are uploaded when the buffer fills or the
+  // sync ends. Buffered last, so an item that fails on the way leaves no row
+  // for a later flush to write
+  if (itemWithMetadata) {
+    await rowWriter.add(itemWithMetadata);
+  }
+
+  // Record only once everything is uploaded, so a checkpoint never
+  // marks a half-written item as done
+  stateTracker.recordItem(itemId, modified, attachments.length, {
+    rowHash,
+    attachments: attachmentState,
+    operation: operationType,
+    lastVersionId
+  });
+  return true;
+}
+
+/**
+ * Sync one document library file: its list item fields (row.json) and, when
+ * its content changed, the file itself. Files are tracked by UniqueId, so a
+ * rename or move shows up as an update of the same file rather than a
+ * delete and an insert.
+ * @param {string} folderPath - Folder of the file, relative to the library root
+ * @returns {Promise<boolean>} false if the file was skipped as unchanged
+ */
+async function processLibraryFile(run, file, folderPath) {
+  const { target, token, stateTracker, rowWriter, changeLog, schema } = run;
+  const { siteUrl, listName, s3Prefix } = target;
+  const fields = file.ListItemAllFields || {};
+  const itemId = fields.Id;
+  const uniqueId = file.UniqueId;
+  const modified = fields.Modified || file.TimeLastModified || new Date().toISOString();
+  const path = folderPath ? `${folderPath}/${file.Name}` : file.Name;
+
+  // The path and the field rules are part of the hash, so renames, moves
+  // and rule changes count as updates
+  const rowHash = hashRow({ ...fields, _path: path, ...(run.fieldRules && { _field_rules: run.fieldRules.summary }) });
+  const contentHash = hashFile(file);
+  const row = applyFieldRules(target.normalize ? normalizeRow(fields, schema) : fields, run.fieldRules);
+  const tagFields = applyFieldRules(fields, run.rawFieldRules);
+  const downloadUrl = `${new URL(siteUrl).origin}${file.ServerRelativeUrl}`;
+
+  const previousEntry = stateTracker.previousState.get(uniqueId);
+  const previous = previousEntry?.file;
+  const itemPrefix = `${s3Prefix}list=${listName}/item_id=${itemId}/`;
+  const contentKey = `${itemPrefix}file/${sanitizeFileName(file.Name)}`;
+
+  const rowOperation = stateTracker.getOperationType(uniqueId, modified, rowHash);
+  const contentChanged = !previous || previous.contentHash !== contentHash || previous.key !== contentKey;
+  const operationType = rowOperation === 'unchanged' && contentChanged ? 'update' : rowOperation;
+  const movedFrom = previous && previous.path !== path ? previous.path : null;
+  const fileState = {
+    itemId,
+    path,
+    key: contentKey,
+    contentHash,
+    size: previous?.size ?? null,
+    skipReason: previous?.skipReason
+  };
+
+  let repair = false;
+  if (run.reconcile) {
+    const contentPath = contentKey.slice(itemPrefix.length);
+    const expected = previousEntry
+      ? [
+        ...(target.outputFormats.includes("item") ? ["row.json"] : []),
+        ...(!contentChanged && !previous?.skipReason ? [contentPath] : [])
+      ]
+      : [];
+    repair = run.reconcile.checkItem(itemId, expected, ["row.json", contentPath]);
+  }
+
+  if (run.plan) {
+    const contentStatus = !contentChanged ? 'unchanged' : previous ? 'update' : 'insert';
+    run.plan.addAttachment(itemId, path, contentStatus, file.Length !== undefined ? Number(file.Length) : null);
+    run.plan.addItem(itemId, operationType, { path, ...(movedFrom && { moved_from: movedFrom }) });
+    stateTracker.recordItem(uniqueId, modified, 0, { rowHash, file: fileState, operation: operationType });
+    return operationType !== 'unchanged';
+  }
+
+  if (operationType === 'unchanged' && target.skipUnchanged && !repair) {
+    stateTracker.recordAttachmentOperation('unchanged');
+    stateTracker.recordItem(uniqueId, modified, 0, { rowHash, file: fileState, operation: operationType });
+    return false;
+  }
+
+  // Without skipUnchanged every row and file is re-uploaded
+  const uploadAll = !target.skipUnchanged || repair;
+
+  logger.info("Processing file", {
+    item_id: itemId,
+    operation: operationType,
+    path,
+    ...(movedFrom && { moved_from: movedFrom }),
+    ...(repair && { repair: true })
+  });
+
+  // 1) Upload the file content when it is new, changed or renamed
+  if (contentChanged || uploadAll) {
+    const download = await downloadFileStream(siteUrl, uniqueId, token);
+    const result = await transferToStorage(target, download, contentKey, file.Name, "file", itemId,
+      getObjectOptions(target, "attachment", { item: tagFields, itemId, sourceUrl: downloadUrl }));
+    fileState.size = result.size ?? null;
+    fileState.skipReason = result.skipReason;
+    stateTracker.recordAttachmentOperation(previous ? 'update' : 'insert');
+
+    // A renamed file was uploaded under its new name; drop the old copy
+    if (previous?.key && previous.key !== contentKey) {
+      await deleteObject(previous.key);
+      logger.debug("Removed previous copy", { item_id: itemId, url: getObjectUrl(previous.key) });
+    }
+  } else {
+    stateTracker.recordAttachmentOperation('unchanged');
+  }
+
+  const fileMeta = {
+    unique_id: uniqueId,
+    name: file.Name,
+    folder_path: folderPath,
+    path,
+    server_relative_url: file.ServerRelativeUrl,
+    download_url: downloadUrl,
+    version: file.UIVersionLabel ?? null,
+    etag: file.ETag ?? null,
+    time_last_modified: file.TimeLastModified ?? null,
+    size_bytes: fileState.size,
+    s3_key: fileState.skipReason ? null : contentKey,
+    s3_url: fileState.skipReason ? null : getObjectUrl(contentKey),
+    ...(fileState.skipReason && { skipped: true, skip_reason: fileState.skipReason })
+  };
+
+  // 2) Upload the list item fields with the file metadata
+  const rowWithMetadata = {
+    ...row,
+    _file: fileMeta,
+    _sync_metadata: {
+      operation_type: operationType,
+      synced_at: new Date().toISOString(),
+      list_name: listName,
+      moved_from: movedFrom,
+      ...(run.fieldRules && { field_rules: run.fieldRules.summary })
+    }
+  };
+
+  if (target.outputFormats.includes("item")) {
+    const rowKey = `${itemPrefix}row.json`;
+    await uploadJSON(rowKey, rowWithMetadata, getObjectOptions(target, "row", { item: tagFields, itemId, sourceUrl: downloadUrl }));
+    logger.debug("Uploaded row data", { item_id: itemId, url: getObjectUrl(rowKey) });
+  }
+
+  let lastVersionId = previousEntry?.lastVersionId;
+  if (target.versionHistory && rowOperation !== 'unchanged') {
+    lastVersionId = await syncItemVersions(run, itemId, lastVersionId);
+  }
+
+  if (operationType !== 'unchanged') {
+    await changeLog.add(operationType, {
+      itemId,
+      modifiedBefore: previousEntry?.modified,
+      modifiedAfter: modified,
+      rowHash,
+      data: { ...row, _file: fileMeta }
+    });
+  }
+
+  // Buffered last, like list item rows
+  await rowWriter.add(rowWithMetadata);
+
+  stateTracker.recordItem(uniqueId, modified, 0, { rowHash, file: fileState, operation: operationType, lastVersionId });
+  return true;
+}
+
+/**
+ * Deletion guard. Items missing from the listing are only deleted once
+ * fetching them by ID confirms they are gone, and never more than the
+ * target's maxDeletes / maxDeletePercent in one run: a truncated listing or
+ * lost permissions would otherwise mark everything as deleted. Items that
+ * are kept or held back stay in the state, so the next run checks them again.
+ * @param {Array<object>} deletedItems - StateTracker.getDeletedItems()
+ * @returns {Promise<{deleted: Array<object>, present: number, held: number, limit: number|null}>}
+ */
+async function confirmDeletedItems(run, deletedItems) {
+  const { target, listApi, listToken, stateTracker } = run;
+  let deleted = deletedItems;
+  let present = 0;
+
+  if (target.recheckDeletes && deleted.length > 0) {
+    const ids = [...new Set(deleted.map(item => item.itemId).filter(Number.isInteger))];
+    const found = await listApi.getListItemsByIds(target.siteUrl, target.listName, listToken, ids, { select: ["Id"], filter: target.filter });
+    const foundIds = new Set(found.map(item => Number(item.Id)));
+
+    const stillThere = deleted.filter(item => foundIds.has(item.itemId));
+    if (stillThere.length > 0) {
+      present = stillThere.length;
+      logger.warn("Items missing from the listing still exist; keeping them", {
+        count: present,
+        item_ids: stillThere.slice(0, 20).map(item => item.itemId)
+      });
+      stateTracker.retainItems(stillThere.map(item => item.entryKey));
+      deleted = deleted.filter(item => !foundIds.has(item.itemId));
+    }
+  }
+
+  const previousCount = stateTracker.previousState?.size || 0;
+  const limits = [];
+  if (target.maxDeletes > 0) limits.push(target.maxDeletes);
+  if (target.maxDeletePercent > 0) limits.push(Math.floor(previousCount * target.maxDeletePercent / 100));
+  const limit = limits.length > 0 ? Math.min(...limits) : null;
+
+  if (limit !== null && deleted.length > limit) {
+    logger.error("Deletion guard: holding back deletes", {
+      count: deleted.length,
+      limit,
+      previous_items: previousCount,
+      item_ids: deleted.slice(0, 20).map(item => item.itemId)
+    });
+    stateTracker.retainItems(deleted.map(item => item.entryKey));
+    return { deleted: [], present, held: deleted.length, limit };
+  }
+
+  return { deleted, present, held: 0, limit };
 }
 
-async function processDeletedItems(listName, deletedItems, s3Prefix) {
-  console.log(`\nProcessing ${deletedItems.length} deleted items...`);
-  
-  for (const deleted of deletedItems) {
+async function processDeletedItems(run, deletedItems) {
+  const { target, stateTracker, changeLog } = run;
+  const { listName, s3Prefix } = target;
+  logger.info("Processing deleted items", { count: deletedItems.length });
+
+  await runWithConcurrency(deletedItems, target.itemConcurrency, async (deleted) => {
     const itemId = deleted.itemId;
     const itemPrefix = `${s3Prefix}list=${listName}/item_id=${itemId}/`;
     
@@ -134,148 +746,784 @@ async function processDeletedItems(listName, deletedItems, s3Prefix) {
         last_seen: deleted.lastSeen,
         list_name: listName
       },
+      ...(deleted.file && { file_path: deleted.file.path }),
       note: "This item was present in previous sync but is now deleted from SharePoint"
     };
 
     const deletionKey = `${itemPrefix}deletion_marker.json`;
-    await uploadJSONToS3(deletionKey, deletionMarker);
-    console.log(`  Created deletion marker: s3://${process.env.S3_BUCKET}/${deletionKey}`);
-  }
+    await uploadJSON(deletionKey, deletionMarker);
+    logger.info("Created deletion marker", { item_id: itemId, operation: "delete", url: getObjectUrl(deletionKey) });
+    if (deleted.file) {
+      stateTracker.recordAttachmentOperation('delete');
+    }
+
+    await changeLog.add('delete', {
+      itemId,
+      modifiedBefore: deleted.modified,
+      modifiedAfter: null,
+      rowHash: deleted.rowHash
+    });
+  });
 }
 
-async function runSync() {
-  const siteUrl = process.env.SITE_URL;
-  const listName = process.env.LIST_NAME;
-  const s3Prefix = process.env.S3_PREFIX || "";
+/**
+ * Decide whether this run can use the saved change token or must enumerate
+ * the whole list (first run, full mode, or periodic reconciliation)
+ */
+function shouldRunDelta(target, stateTracker) {
+  if (target.syncMode !== "delta") return false;
+  if (!stateTracker.previousChangeToken || !stateTracker.previousFullSync) return false;
 
-  if (!siteUrl || !listName) {
-    throw new Error("SITE_URL and LIST_NAME must be set in .env");
+  if (stateTracker.previousChangeTokenApi !== target.api) {
+    logger.info(`Saved change token belongs to the ${stateTracker.previousChangeTokenApi} API, running a full scan.`);
+    return false;
   }
 
-  console.log("\n" + "=".repeat(80));
-  console.log(`Starting sync at ${new Date().toISOString()}`);
-  console.log("=".repeat(80));
+  if (target.fullSyncIntervalHours > 0) {
+    const fullSyncAgeMs = Date.now() - new Date(stateTracker.previousFullSync).getTime();
+    if (fullSyncAgeMs >= target.fullSyncIntervalHours * 3600 * 1000) {
+      logger.info(`Last full sync is older than ${target.fullSyncIntervalHours} hours, reconciling with a full scan.`);
+      return false;
+    }
+  }
 
-  // Initialize state tracker
-  const stateTracker = new StateTracker(listName);
-  await stateTracker.loadPreviousState();
+  return true;
+}
+
+/**
+ * Work out how this run reads the list: resume an interrupted sync from its
+ * checkpoint, fetch changes since the saved change token, or scan the whole list
+ * @param {string} runId - ID for a new run; a resumed sync keeps the ID of the run it continues
+ * @returns {Promise<object>} Sync progress; saved with every checkpoint
+ */
+async function planSync(target, listApi, listToken, stateTracker, runId) {
+  const checkpoint = await stateTracker.loadCheckpoint();
+  // Page URLs and change tokens only work with the API that produced them
+  if (checkpoint && (checkpoint.api || "rest") !== target.api) {
+    logger.info(`Ignoring checkpoint taken with the ${checkpoint.api || "rest"} API.`);
+  } else if (checkpoint) {
+    // A delta checkpoint is only valid against the change token it started from
+    if (checkpoint.mode === "full" || checkpoint.baseChangeToken === stateTracker.previousChangeToken) {
+      stateTracker.restoreCheckpoint(checkpoint);
+      logger.info("Resuming interrupted sync from checkpoint", {
+        mode: checkpoint.mode,
+        saved_at: checkpoint.savedAt,
+        items_processed: checkpoint.itemCount,
+        resumed_run_id: checkpoint.runId
+      });
+      return {
+        mode: checkpoint.mode,
+        api: target.api,
+        startedAt: checkpoint.startedAt,
+        changeToken: checkpoint.changeToken,
+        baseChangeToken: checkpoint.baseChangeToken,
+        cursor: checkpoint.cursor,
+        runId: checkpoint.runId || runId,
+        batchFiles: checkpoint.batchFiles || [],
+        // The sequence file may be ahead of the checkpoint
+        lastSequence: Math.max(checkpoint.lastSequence ?? 0, stateTracker.lastSequence),
+        changeFiles: checkpoint.changeFiles || []
+      };
+    }
+    logger.info("Ignoring checkpoint that does not match the saved change token.");
+  }
 
-  console.log("\nGetting access token...");
-  const token = await getAccessToken();
-  console.log("Access token acquired.");
+  return startProgress(target, listApi, listToken, stateTracker, runId);
+}
 
-  console.log(`\nFetching items from list '${listName}'...`);
-  const items = await getListItems(siteUrl, listName, token);
-  console.log(`Found ${items.length} items.`);
+/**
+ * Progress for a sync that starts from the beginning (no checkpoint)
+ * @param {object} [options]
+ * @param {boolean} [options.full] - Scan the whole list even when delta sync is possible
+ * @returns {Promise<object>} Sync progress
+ */
+async function startProgress(target, listApi, listToken, stateTracker, runId, options = {}) {
+  // Capture the token before reading so changes made during this run are picked up next time
+  const changeToken = await listApi.getListChangeToken(target.siteUrl, target.listName, listToken);
+  const mode = !options.full && shouldRunDelta(target, stateTracker) ? "delta" : "full";
 
-  // Process each item
-  for (const item of items) {
-    if (isShuttingDown) {
-      console.log("\nShutdown requested, stopping item processing...");
-      break;
+  return {
+    mode,
+    api: target.api,
+    startedAt: new Date().toISOString(),
+    changeToken,
+    baseChangeToken: mode === "delta" ? stateTracker.previousChangeToken : null,
+    cursor: null,
+    runId,
+    batchFiles: [],
+    lastSequence: stateTracker.lastSequence,
+    changeFiles: []
+  };
+}
+
+/**
+ * Saves the sync progress every `checkpointIntervalSeconds` (and on demand)
+ * so an interrupted sync can continue where it stopped
+ */
+function createCheckpointer(run) {
+  const { target, stateTracker, progress, rowWriter, changeLog } = run;
+  const intervalMs = target.checkpointIntervalSeconds * 1000;
+  let lastSavedAt = Date.now();
+  let pending = null;
+
+  async function save() {
+    run.lock.assertHeld();
+
+    // Never upload two checkpoints for the same list at once
+    while (pending) {
+      await pending.catch(() => {});
+    }
+
+    // Snapshot first: every item in it has already handed its row and change
+    // event to the writers, so flushing afterwards persists all of them
+    const snapshot = stateTracker.snapshotCheckpoint();
+    pending = Promise.all([rowWriter.flush(), changeLog.flush()])
+      .then(() => stateTracker.saveCheckpoint(progress, snapshot));
+    try {
+      await pending;
+      lastSavedAt = Date.now();
+    } finally {
+      pending = null;
     }
-    
-    await processItem(siteUrl, listName, item, token, stateTracker, s3Prefix);
   }
 
-  // Handle deleted items
-  if (!isShuttingDown) {
-    const deletedItems = stateTracker.getDeletedItems();
-    if (deletedItems.length > 0) {
-      await processDeletedItems(listName, deletedItems, s3Prefix);
+  async function saveIfDue() {
+    if (!pending && Date.now() - lastSavedAt >= intervalMs) {
+      await save();
     }
   }
 
-  // Save current state for next run
-  if (!isShuttingDown) {
-    console.log("\nSaving sync state...");
-    await stateTracker.saveCurrentState();
+  return { save, saveIfDue };
+}
+
+/**
+ * Process a batch of items (or library files) with a bounded worker pool
+ * @param {(item: object) => string|number} [getKey] - State key of an item
+ * @param {(run: object, item: object) => Promise<boolean>} [processOne] - Syncs one item
+ */
+async function processItems(run, items, getKey = item => item.Id, processOne = processItem) {
+  const { target, stateTracker, checkpointer, counters } = run;
+
+  await runWithConcurrency(items, target.itemConcurrency, async (item) => {
+    // Already synced before the previous run was interrupted
+    if (stateTracker.isRecorded(getKey(item))) return;
+
+    const uploaded = await processOne(run, item);
+    if (!uploaded) {
+      counters.skipped++;
+      // Only log every 100th unchanged item to reduce noise
+      if (counters.skipped % 100 === 0) {
+        logger.info("Skipped unchanged items", { skipped: counters.skipped });
+      }
+    }
+
+    await checkpointer.saveIfDue();
+  }, { shouldStop: () => isShuttingDown });
+}
+
+/**
+ * Walk a document library and process its files. There is no page cursor:
+ * a resumed sync walks the folders again and skips the files the
+ * checkpoint already recorded.
+ * @returns {Promise<null>} Deletions are found by diffing state
+ */
+async function syncLibrary(run) {
+  const { target, token, itemQuery } = run;
+  const { siteUrl, listName } = target;
+
+  logger.info("Walking library folders");
+
+  let found = 0;
+  for await (const folder of iterateLibraryFolders(siteUrl, listName, token, { select: itemQuery.select })) {
+    if (folder.files.length === 0) continue;
+    found += folder.files.length;
+    logger.info("Processing folder", { folder: `/${folder.folderPath}`, files: folder.files.length, found });
+
+    await processItems(run, folder.files, file => file.UniqueId,
+      (libraryRun, file) => processLibraryFile(libraryRun, file, folder.folderPath));
+    if (isShuttingDown) break;
   }
 
-  // Print statistics
-  const stats = stateTracker.getStats();
-  console.log("\n" + "=".repeat(80));
-  console.log("Sync Statistics:");
-  console.log(`  Inserts:   ${stats.inserts}`);
-  console.log(`  Updates:   ${stats.updates}`);
-  console.log(`  Deletes:   ${stats.deletes}`);
-  console.log(`  Unchanged: ${stats.unchanged}`);
-  console.log(`  Total:     ${stats.total}`);
-  console.log("=".repeat(80));
-  console.log(`Sync completed at ${new Date().toISOString()}\n`);
+  return null;
 }
 
-async function runContinuous() {
-  const pollIntervalMs = parseInt(process.env.POLL_INTERVAL_SECONDS || "300", 10) * 1000;
-  const runOnce = process.env.RUN_ONCE === "true";
+/**
+ * Read the list according to the plan and process its items
+ * @returns {Promise<number[]|null>} Item IDs SharePoint reported deleted (delta
+ *   sync), or null for a full scan (deletions are found by diffing state)
+ */
+async function syncItems(run) {
+  const { target, listApi, listToken, progress, checkpointer, itemQuery } = run;
+  const { siteUrl, listName } = target;
 
-  console.log(`SharePoint Sync Worker Starting...`);
-  console.log(`Mode: ${runOnce ? "Single run" : "Continuous"}`);
-  if (!runOnce) {
-    console.log(`Poll Interval: ${pollIntervalMs / 1000} seconds`);
+  if (target.type === "library") {
+    return syncLibrary(run);
   }
 
-  while (!isShuttingDown) {
+  if (progress.mode === "delta") {
+    logger.info("Fetching changes since last sync");
+    let changes = null;
     try {
-      currentSyncPromise = runSync();
-      await currentSyncPromise;
-      
-      if (runOnce) {
-        console.log("Single run completed. Exiting...");
-        break;
+      changes = await listApi.getListChanges(siteUrl, listName, listToken, progress.baseChangeToken);
+    } catch (err) {
+      if (!listApi.isChangeTokenExpired(err)) throw err;
+      logger.warn("Change token has expired, falling back to a full scan.");
+      progress.mode = "full";
+      progress.baseChangeToken = null;
+    }
+
+    if (changes) {
+      const items = await listApi.getListItemsByIds(siteUrl, listName, listToken, changes.upserted, itemQuery);
+      logger.info("Found changes", { changed: changes.upserted.length, deleted: changes.deleted.length });
+
+      await processItems(run, items);
+      return changes.deleted;
+    }
+  }
+
+  logger.info(progress.cursor ? "Resuming items at the saved page" : "Fetching items");
+
+  let fetched = 0;
+  const pages = listApi.iterateListItemPages(siteUrl, listName, listToken, {
+    ...itemQuery,
+    startUrl: progress.cursor
+  });
+
+  for await (const page of pages) {
+    // Checkpoints taken while this page is in progress resume from the page itself
+    progress.cursor = page.url;
+    fetched += page.items.length;
+    logger.info("Processing page", { items: page.items.length, fetched });
+
+    await processItems(run, page.items);
+    if (isShuttingDown) break;
+
+    if (page.nextUrl) {
+      progress.cursor = page.nextUrl;
+      await checkpointer.save();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Sync one target. Every log line of the sync carries its run ID, and a
+ * summary of the run is saved next to the sync state, also when it fails.
+ * @param {object} [options]
+ * @param {ReconcileReport} [options.reconcile] - Run a full scan that also repairs and reports storage drift
+ * @returns {Promise<{stats: object, versions: number, textExtraction: object, heldDeletes: number}|null>}
+ *   Counters of the run, or null if it was stopped for shutdown or skipped
+ *   because another worker holds the list's lock
+ */
+async function runSync(target, options = {}) {
+  const summary = {
+    run_id: randomUUID(),
+    target: target.name,
+    list_name: target.listName,
+    site_url: target.siteUrl,
+    status: "running",
+    started_at: new Date().toISOString()
+  };
+
+  return withLogContext({ run_id: summary.run_id, target: target.name, list_name: target.listName }, async () => {
+    logger.info("Starting sync", { site_url: target.siteUrl, api: target.api, type: target.type });
+
+    // Initialize state tracker (one per target)
+    const stateTracker = new StateTracker(target.listName, target.s3Prefix);
+    const requestStatsAtStart = getRequestStats();
+
+    // Only one worker may sync a list at a time
+    const lock = new LeaseLock(target, summary.run_id);
+    try {
+      await lock.acquire();
+    } catch (err) {
+      if (!(err instanceof LockHeldError)) {
+        logger.error("Failed to acquire lock", { error: err });
+        throw err;
       }
+      logger.warn("Another worker is syncing this list; skipping this run", {
+        owner: err.lease.owner,
+        expires_at: err.lease.expires_at
+      });
+      return null;
+    }
 
-      if (!isShuttingDown) {
-        console.log(`Waiting ${pollIntervalMs / 1000} seconds until next sync...`);
-        await sleep(pollIntervalMs);
+    try {
+      const result = await syncTarget(target, stateTracker, summary, { ...options, lock });
+      summary.status = result ? "success" : "stopped";
+      if (result) {
+        summary.stats = result.stats;
+        summary.versions = result.versions;
+        if (target.extractText) summary.text_extraction = result.textExtraction;
       }
+      return result;
     } catch (err) {
-      console.error("\n" + "!".repeat(80));
-      console.error("Sync failed with error:");
-      
-      // Improved debug: show HTTP status/body if this came from axios
-      if (err && err.response) {
-        const { status, statusText, headers, data } = err.response;
-
-        let bodyPreview;
-        if (Buffer.isBuffer(data)) {
-          bodyPreview = data.toString("utf8");
-        } else if (typeof data === "string") {
-          bodyPreview = data;
+      summary.status = "failed";
+      summary.error = redact(err);
+      logger.error("Sync failed", { error: err });
+      throw err;
+    } finally {
+      await lock.release();
+      summary.finished_at = new Date().toISOString();
+      summary.duration_ms = Date.parse(summary.finished_at) - Date.parse(summary.started_at);
+      summary.requests = diffRequestStats(requestStatsAtStart, getRequestStats());
+      summary.log_counts = getLogCounts();
+
+      if (summary.status === "success") {
+        logger.info("Sync completed", {
+          duration_ms: summary.duration_ms,
+          mode: summary.mode,
+          ...summary.stats,
+          ...(target.versionHistory && { versions: summary.versions }),
+          ...(target.extractText && { text_extraction: summary.text_extraction }),
+          ...(summary.held_deletes > 0 && { held_deletes: summary.held_deletes }),
+          requests: summary.requests
+        });
+      }
+
+      try {
+        await stateTracker.saveRunSummary(summary);
+      } catch (saveErr) {
+        logger.warn("Failed to save run summary", { error: saveErr });
+      }
+    }
+  });
+}
+
+/**
+ * Field rules of a run: `fieldRules` for the rows as written (normalized
+ * ones are keyed by display name), `rawFieldRules` for REST property names
+ * (versions, object tags and metadata)
+ * @param {object|null} schema - List schema, used when the target normalizes rows
+ * @returns {{fieldRules: object|null, rawFieldRules: object|null}}
+ */
+function getFieldRules(target, schema) {
+  return {
+    fieldRules: compileFieldRules(target, target.normalize ? schema : null),
+    rawFieldRules: compileFieldRules(target, null)
+  };
+}
+
+/**
+ * The sync itself (see runSync); records the plan in `summary`
+ */
+async function syncTarget(target, stateTracker, summary, options = {}) {
+  const { siteUrl, listName, s3Prefix } = target;
+
+  await stateTracker.loadPreviousState();
+
+  // Clean up partial uploads orphaned by a crashed or killed worker
+  if (target.staleUploadCleanupHours > 0) {
+    try {
+      const aborted = await abortStaleUploads(
+        `${s3Prefix}list=${listName}/`,
+        target.staleUploadCleanupHours * 3600 * 1000
+      );
+      if (aborted > 0) {
+        logger.info("Aborted incomplete uploads", { count: aborted });
+      }
+    } catch (err) {
+      logger.warn("Failed to clean up incomplete uploads", { error: err });
+    }
+  }
+
+  // Token providers hand out a fresh token whenever the cached one is about
+  // to expire, so a long sync does not fail halfway
+  logger.debug("Getting access token...");
+  const token = getSharePointTokenProvider(siteUrl);
+  await token(); // fail early on bad credentials
+
+  // Graph mode reads items with a Graph token; attachments still need the SharePoint one
+  const listApi = LIST_APIS[target.api];
+  let listToken = token;
+  if (target.api === "graph") {
+    logger.debug("Getting Microsoft Graph access token...");
+    listToken = getGraphTokenProvider();
+    await listToken();
+  }
+
+  logger.debug("Discovering list schema...");
+  let schema = null;
+  try {
+    schema = await discoverSchema(target, token);
+  } catch (err) {
+    // Rows can still be synced as returned; only normalization needs the schema
+    if (target.normalize) throw err;
+    logger.warn("Failed to discover list schema", { error: err });
+  }
+
+  // A reconciliation reads every item, so it never resumes or runs as a delta sync
+  const progress = options.reconcile
+    ? await startProgress(target, listApi, listToken, stateTracker, summary.run_id, { full: true })
+    : await planSync(target, listApi, listToken, stateTracker, summary.run_id);
+  summary.mode = progress.mode;
+  summary.api = progress.api;
+  if (progress.runId !== summary.run_id) {
+    summary.resumed_run_id = progress.runId;
+  }
+  const run = {
+    target,
+    token,
+    listApi,
+    listToken,
+    stateTracker,
+    progress,
+    schema,
+    itemQuery: {
+      select: target.select,
+      expand: target.normalize ? getExpandQuery(schema, target.select) : undefined,
+      filter: target.filter
+    },
+    ...getFieldRules(target, schema),
+    rowWriter: new BatchRowWriter(target, progress),
+    changeLog: new ChangeLogWriter(target, progress, stateTracker),
+    reconcile: options.reconcile,
+    lock: options.lock,
+    counters: { skipped: 0, versions: 0, textExtracted: 0, textSkipped: 0 }
+  };
+  const checkpointer = createCheckpointer(run);
+  run.checkpointer = checkpointer;
+
+  let deletedIds;
+  try {
+    deletedIds = await syncItems(run);
+  } catch (err) {
+    // Keep the work done so far; the retry continues from here
+    await checkpointer.save().catch(saveErr => {
+      logger.warn("Failed to save checkpoint", { error: saveErr });
+    });
+    throw err;
+  }
+
+  if (isShuttingDown) {
+    await checkpointer.save();
+    logger.info("Shutdown requested, stopped item processing; the next run will resume from the saved checkpoint.");
+    return null;
+  }
+
+  stateTracker.setChangeToken(progress.changeToken, progress.mode === "full", target.api);
+
+  // Delta sync only fetched changed items; keep everything else as it was
+  if (deletedIds) {
+    stateTracker.carryForward(deletedIds);
+  }
+
+  // Handle deleted items, unless the deletion guard holds them back
+  const guard = await confirmDeletedItems(run, stateTracker.getDeletedItems());
+  const deletedItems = guard.deleted;
+  summary.held_deletes = guard.held;
+  run.lock.assertHeld();
+  if (deletedItems.length > 0) {
+    try {
+      await processDeletedItems(run, deletedItems);
+    } catch (err) {
+      // Keep the change log sequence moving forward if some delete events were already written
+      await checkpointer.save().catch(saveErr => {
+        logger.warn("Failed to save checkpoint", { error: saveErr });
+      });
+      throw err;
+    }
+  }
+  run.reconcile?.finish(stateTracker, guard, progress);
+
+  // Upload the last batch of rows and the manifest for this run
+  await run.rowWriter.finish();
+
+  // Upload the remaining change events; the next run continues the sequence
+  await run.changeLog.flush();
+  stateTracker.setLastSequence(progress.lastSequence);
+
+  // Save current state for next run
+  run.lock.assertHeld();
+  await stateTracker.saveCurrentState();
+  await stateTracker.clearCheckpoint();
+
+  // Reconcile --repair: remove the markers of items that exist while no other
+  // worker can be writing a legitimate one
+  if (run.reconcile?.repair) {
+    run.lock.assertHeld();
+    await run.reconcile.removeStaleMarkers();
+  }
+
+  return {
+    stats: stateTracker.getStats(),
+    versions: run.counters.versions,
+    textExtraction: { extracted: run.counters.textExtracted, skipped: run.counters.textSkipped },
+    heldDeletes: guard.held
+  };
+}
+
+/**
+ * Dry run of a sync: read the list and the saved state the same way, and
+ * collect what the sync would write instead of writing it. Nothing is
+ * uploaded or deleted (no rows, files, markers, schema, checkpoint or state).
+ * @param {object} [options]
+ * @param {ReconcileReport} [options.reconcile] - Scan the whole list and report storage drift
+ * @returns {Promise<SyncPlan>}
+ */
+async function runPlan(target, options = {}) {
+  const runId = randomUUID();
+
+  return withLogContext({ run_id: runId, target: target.name, list_name: target.listName, dry_run: true }, async () => {
+    logger.info("Planning sync", { site_url: target.siteUrl, api: target.api, type: target.type });
+
+    const stateTracker = new StateTracker(target.listName, target.s3Prefix);
+    await stateTracker.loadPreviousState();
+
+    const token = getSharePointTokenProvider(target.siteUrl);
+    const listApi = LIST_APIS[target.api];
+    const listToken = target.api === "graph" ? getGraphTokenProvider() : token;
+
+    let comparison = null;
+    try {
+      comparison = await compareSchema(target, token);
+    } catch (err) {
+      if (target.normalize) throw err;
+      logger.warn("Failed to discover list schema", { error: err });
+    }
+
+    // A dry run plans a sync from the start, even if a checkpoint exists
+    const progress = await startProgress(target, listApi, listToken, stateTracker, runId, { full: Boolean(options.reconcile) });
+    const plan = new SyncPlan(target, progress);
+    if (comparison) {
+      plan.setSchema(comparison);
+    }
+
+    const run = {
+      target,
+      token,
+      listApi,
+      listToken,
+      stateTracker,
+      progress,
+      schema: comparison?.schema ?? null,
+      itemQuery: {
+        select: target.select,
+        expand: target.normalize ? getExpandQuery(comparison.schema, target.select) : undefined,
+        filter: target.filter
+      },
+      // The same rules as a sync, so rows hash the same as in the saved state
+      ...getFieldRules(target, comparison?.schema ?? null),
+      plan,
+      reconcile: options.reconcile,
+      // Nothing is saved, so there is nothing to resume from
+      checkpointer: { save: async () => {}, saveIfDue: async () => {} },
+      counters: { skipped: 0, versions: 0, textExtracted: 0, textSkipped: 0 }
+    };
+
+    const deletedIds = await syncItems(run);
+    if (deletedIds) {
+      stateTracker.carryForward(deletedIds);
+    }
+    const guard = await confirmDeletedItems(run, stateTracker.getDeletedItems());
+    plan.addDeletes(guard.deleted);
+    plan.setDeletionGuard(guard);
+    options.reconcile?.finish(stateTracker, guard, progress);
+
+    return plan;
+  });
+}
+
+async function runPlanCommand(args) {
+  const targets = loadTargets().filter(target => !args.target || target.name === args.target);
+  if (targets.length === 0) {
+    throw new Error(`No target named '${args.target}'`);
+  }
+
+  const plans = [];
+  for (const target of targets) {
+    const plan = await runPlan(target);
+    process.stdout.write(plan.format() + "\n");
+    plans.push(plan.toJSON());
+  }
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(plans, null, 2));
+    logger.info("Wrote plan", { file: args.out });
+  }
+}
+
+/**
+ * Compare storage with SharePoint and the sync state. Without --repair this
+ * is a dry run; with it, a full sync uploads missing objects again and stale
+ * deletion markers are removed. Orphan objects are only reported.
+ */
+async function runReconcileCommand(args) {
+  const targets = loadTargets().filter(target => !args.target || target.name === args.target);
+  if (targets.length === 0) {
+    throw new Error(`No target named '${args.target}'`);
+  }
+
+  const reports = [];
+  for (const target of targets) {
+    const report = await ReconcileReport.load(target, { repair: Boolean(args.repair) });
+    if (args.repair) {
+      // The sync removes the stale deletion markers before releasing its lock
+      if (!await runSync(target, { reconcile: report })) {
+        throw new Error(`Target '${target.name}': another worker is syncing this list; try the repair again later`);
+      }
+    } else {
+      await runPlan(target, { reconcile: report });
+    }
+
+    await report.save();
+    process.stdout.write(report.format() + "\n");
+    reports.push(report.toJSON());
+  }
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(reports, null, 2));
+    logger.info("Wrote reconciliation report", { file: args.out });
+  }
+}
+
+/**
+ * Generate the Snowflake objects for a target from its list schema, and
+ * run them when `apply` is set (otherwise the SQL is only printed)
+ * @param {object} options
+ * @param {boolean} [options.apply] - Execute the statements through the Snowflake SQL API
+ * @param {boolean} [options.dropRemoved] - Drop columns that were removed from the list
+ * @returns {Promise<string>} The generated SQL script
+ */
+async function runDdl(target, options = {}) {
+  logger.info("Generating Snowflake DDL", { target: target.name });
+  if (!target.outputFormats.includes("item")) {
+    logger.warn("outputFormats does not include 'item'; the pipes load row.json files, which this target does not write.", { target: target.name });
+  }
+
+  // Without --apply nothing is written, not even a new schema version
+  const token = getSharePointTokenProvider(target.siteUrl);
+  const { schema, changed } = await compareSchema(target, token);
+  const mappings = getColumnMappings(schema, target);
+
+  const applied = await loadDdlState(target);
+  const migration = generateMigration(target, applied, mappings, options);
+  const setup = generateSetup(target, schema, mappings, {
+    warehouse: process.env.SNOWFLAKE_WAREHOUSE,
+    taskSchedule: process.env.SNOWFLAKE_TASK_SCHEDULE || "5 MINUTE"
+  });
+
+  if (applied && migration.length === 0) {
+    logger.info("Columns unchanged", { target: target.name, schema_version: applied.schema_version });
+  } else if (applied) {
+    logger.info("Migrating table", { target: target.name, from_version: applied.schema_version, to_version: schema.version, steps: migration.length });
+  }
+
+  // Migrate the existing table first; the procedure is then recreated for the new columns
+  const statements = [...migration, ...setup];
+  const script = `-- SharePoint list '${target.listName}' (target '${target.name}', schema version ${schema.version})\n\n` +
+    formatStatements(statements);
+
+  if (!options.apply) {
+    return script;
+  }
+
+  for (const { sql } of statements) {
+    if (!sql) continue;
+    logger.info("Executing statement", { target: target.name, sql: sql.split("\n")[0] });
+    await executeStatement(sql);
+  }
+  if (changed) await saveSchema(target, schema);
+  await saveDdlState(target, schema, mappings, migration);
+  logger.info("Applied statements", { target: target.name, count: statements.filter(s => s.sql).length });
+  return script;
+}
+
+async function runDdlCommand(args) {
+  const targets = loadTargets().filter(target => !args.target || target.name === args.target);
+  if (targets.length === 0) {
+    throw new Error(`No target named '${args.target}'`);
+  }
+
+  const scripts = [];
+  for (const target of targets) {
+    scripts.push(await runDdl(target, args));
+  }
+
+  const output = scripts.join("\n");
+  if (args.out) {
+    fs.writeFileSync(args.out, output);
+    logger.info("Wrote SQL", { file: args.out });
+  } else if (!args.apply) {
+    process.stdout.write(output + "\n");
+  }
+}
+
+async function runContinuous() {
+  const targets = loadTargets();
+  const runOnce = process.env.RUN_ONCE === "true";
+  const retryDelay = 60000; // 1 minute
+
+  startHealthServer(targets, { isShuttingDown: () => isShuttingDown });
+
+  logger.info("SharePoint Sync Worker starting", {
+    mode: runOnce ? "single run" : "continuous",
+    targets: targets.map(target => ({
+      name: target.name,
+      site_url: target.siteUrl,
+      list_name: target.listName,
+      ...(!runOnce && { poll_interval_seconds: target.pollIntervalSeconds })
+    }))
+  });
+
+  // Next due time per target; every target runs immediately on startup
+  const nextRunAt = new Map(targets.map(target => [target.name, 0]));
+  let anyFailed = false;
+
+  while (!isShuttingDown) {
+    for (const target of targets) {
+      if (isShuttingDown) break;
+      if (nextRunAt.get(target.name) > Date.now()) continue;
+
+      try {
+        recordSyncStart(target.name);
+        currentSyncPromise = runSync(target);
+        const result = await currentSyncPromise;
+        if (result) {
+          recordSyncSuccess(target.name, result.stats, result.versions, result.heldDeletes);
         } else {
-          try {
-            bodyPreview = JSON.stringify(data, null, 2);
-          } catch {
-            bodyPreview = String(data);
-          }
+          recordSyncStopped(target.name);
         }
+        nextRunAt.set(target.name, Date.now() + target.pollIntervalSeconds * 1000);
+      } catch (err) {
+        // A failing target is retried later without holding up the others
+        recordSyncFailure(target.name, err);
+        anyFailed = true;
 
-        console.error("  Status:", status, statusText);
-        console.error("  Headers:", headers);
-        console.error("  Body:", bodyPreview);
-      } else {
-        console.error(err);
+        // Don't come back before an open circuit would let requests through
+        const retryAt = err instanceof CircuitOpenError
+          ? Math.max(Date.now() + retryDelay, err.retryAt)
+          : Date.now() + retryDelay;
+        nextRunAt.set(target.name, retryAt);
+        if (!runOnce) {
+          logger.info("Retrying target later", { target: target.name, retry_in_seconds: Math.round((retryAt - Date.now()) / 1000) });
+        }
+      } finally {
+        currentSyncPromise = null;
       }
-      console.error("!".repeat(80) + "\n");
+    }
 
-      if (runOnce) {
+    if (runOnce) {
+      if (anyFailed) {
         process.exit(1);
       }
+      logger.info("Single run completed. Exiting...");
+      break;
+    }
 
-      // Wait before retrying on error
-      const retryDelay = 60000; // 1 minute
-      console.log(`Retrying in ${retryDelay / 1000} seconds...`);
-      await sleep(retryDelay);
+    if (!isShuttingDown) {
+      const waitMs = Math.max(0, Math.min(...nextRunAt.values()) - Date.now());
+      logger.info("Waiting until next sync", { wait_seconds: Math.round(waitMs / 1000) });
+      await sleep(waitMs);
     }
   }
 
-  console.log("Worker stopped gracefully.");
+  logger.info("Worker stopped gracefully.");
 }
 
 function sleep(ms) {
   return new Promise(resolve => {
-    const timeout = setTimeout(resolve, ms);
-    
     // Allow early wakeup on shutdown
     const checkShutdown = setInterval(() => {
       if (isShuttingDown) {
@@ -284,6 +1532,11 @@ function sleep(ms) {
         resolve();
       }
     }, 1000);
+
+    const timeout = setTimeout(() => {
+      clearInterval(checkShutdown);
+      resolve();
+    }, ms);
   });
 }
 
@@ -292,12 +1545,12 @@ function setupShutdownHandlers() {
   const shutdown = async (signal) => {
     if (isShuttingDown) return;
     
-    console.log(`\n${signal} received. Shutting down gracefully...`);
+    logger.info(`${signal} received. Shutting down gracefully...`);
     isShuttingDown = true;
 
     // Wait for current sync to complete (with timeout)
     if (currentSyncPromise) {
-      console.log("Waiting for current sync to complete...");
+      logger.info("Waiting for current sync to complete...");
       const timeout = new Promise(resolve => setTimeout(resolve, 30000));
       await Promise.race([currentSyncPromise, timeout]);
     }
@@ -309,9 +1562,54 @@ function setupShutdownHandlers() {
   process.on('SIGINT', () => shutdown('SIGINT'));
 }
 
-// Start the worker
-setupShutdownHandlers();
-runContinuous().catch((err) => {
-  console.error("Fatal error:", err);
+// Parse `[command] [--flag] [--option value]` from the command line
+function parseArgs(argv) {
+  const args = { command: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      args.command = args.command || arg;
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.slice(2).split("=", 2);
+    const name = flag.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (inlineValue !== undefined) {
+      args[name] = inlineValue;
+    } else if (["target", "out"].includes(name)) {
+      args[name] = argv[++i];
+    } else {
+      args[name] = true;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.command === "ddl") {
+  runDdlCommand(args).catch((err) => {
+    logger.error("DDL failed", { error: err });
+    process.exit(1);
+  });
+} else if (args.command === "plan") {
+  runPlanCommand(args).catch((err) => {
+    logger.error("Plan failed", { error: err });
+    process.exit(1);
+  });
+} else if (args.command === "reconcile") {
+  runReconcileCommand(args).catch((err) => {
+    logger.error("Reconciliation failed", { error: err });
+    process.exit(1);
+  });
+} else if (args.command) {
+  logger.error(`Unknown command '${args.command}' (expected: ddl, plan, reconcile)`);
   process.exit(1);
-});
+} else {
+  // Start the worker
+  setupShutdownHandlers();
+  runContinuous().catch((err) => {
+    logger.error("Fatal error", { error: err });
+    process.exit(1);
+  });
+}
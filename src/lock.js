@@ -0,0 +1,165 @@
+// src/lock.js
+import os from "os";
+import { randomUUID } from "crypto";
+import { downloadVersioned, uploadJSONConditional, PreconditionFailedError } from "./storage/index.js";
+import { logger } from "./logger.js";
+
+// One ID per process, so a restarted worker never mistakes an old lease for its own
+const OWNER = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+/**
+ * Thrown by LeaseLock.acquire() when another worker holds an unexpired lease
+ */
+export class LockHeldError extends Error {
+  constructor(key, lease) {
+    super(`Lock ${key} is held by ${lease.owner} until ${lease.expires_at}`);
+    this.name = "LockHeldError";
+    this.key = key;
+    this.lease = lease;
+  }
+}
+
+/**
+ * Thrown by LeaseLock.assertHeld() once the lease could not be renewed
+ */
+export class LockLostError extends Error {
+  constructor(key) {
+    super(`Lost the lock ${key}; another worker may be syncing this list`);
+    this.name = "LockLostError";
+    this.key = key;
+  }
+}
+
+/**
+ * Lease on one list, stored next to its sync state in `_state/lock.json`.
+ * The holder renews the lease every third of `lockLeaseSeconds`; a lease
+ * that ran out may be taken over by another worker. Every write is
+ * conditional on the version last read, so two workers can never both win.
+ * A lease of 0 seconds turns locking off.
+ */
+export class LeaseLock {
+  constructor(target, runId) {
+    this.key = `${target.s3Prefix}list=${target.listName}/_state/lock.json`;
+    this.leaseMs = target.lockLeaseSeconds * 1000;
+    this.runId = runId;
+    this.version = null; // version of the lock file last written by this worker
+    this.acquiredAt = null;
+    this.expiresAt = 0;
+    this.lost = false;
+    this.timer = null;
+    this.renewal = null; // renewal in flight
+  }
+
+  get enabled() {
+    return this.leaseMs > 0;
+  }
+
+  async write(expiresAt, fields = {}) {
+    const lease = {
+      owner: OWNER,
+      run_id: this.runId,
+      acquired_at: this.acquiredAt,
+      renewed_at: new Date().toISOString(),
+      expires_at: new Date(expiresAt).toISOString(),
+      ...fields
+    };
+    this.version = await uploadJSONConditional(this.key, lease, this.version);
+    this.expiresAt = expiresAt;
+  }
+
+  /**
+   * Take the lease and start renewing it
+   * @throws {LockHeldError} If another worker holds the lease
+   */
+  async acquire() {
+    if (!this.enabled) return;
+
+    const current = await downloadVersioned(this.key);
+    if (current) {
+      let lease = null;
+      try {
+        lease = JSON.parse(current.body);
+      } catch {
+        logger.warn("Replacing unreadable lock file", { lock: this.key });
+      }
+
+      if (lease && lease.owner !== OWNER && Date.parse(lease.expires_at) > Date.now()) {
+        throw new LockHeldError(this.key, lease);
+      }
+      if (lease && !lease.released_at) {
+        // The previous holder stopped without releasing it (crash or killed container)
+        logger.warn("Taking over an expired lock", { lock: this.key, owner: lease.owner, expired_at: lease.expires_at });
+      }
+    }
+
+    this.version = current?.version ?? null;
+    this.acquiredAt = new Date().toISOString();
+    try {
+      await this.write(Date.now() + this.leaseMs);
+    } catch (err) {
+      this.acquiredAt = null; // nothing to release
+      if (!(err instanceof PreconditionFailedError)) throw err;
+
+      // Another worker took the lease between our read and write
+      const winner = await downloadVersioned(this.key);
+      throw new LockHeldError(this.key, winner ? JSON.parse(winner.body) : { owner: "unknown", expires_at: "unknown" });
+    }
+    logger.debug("Acquired lock", { lock: this.key, expires_at: new Date(this.expiresAt).toISOString() });
+
+    this.timer = setInterval(() => {
+      if (!this.renewal) {
+        this.renewal = this.renew().finally(() => { this.renewal = null; });
+      }
+    }, Math.max(1000, Math.floor(this.leaseMs / 3)));
+    this.timer.unref();
+  }
+
+  async renew() {
+    if (this.lost) return;
+
+    try {
+      await this.write(Date.now() + this.leaseMs);
+      logger.debug("Renewed lock", { lock: this.key, expires_at: new Date(this.expiresAt).toISOString() });
+    } catch (err) {
+      if (err instanceof PreconditionFailedError || Date.now() >= this.expiresAt) {
+        this.lost = true;
+        clearInterval(this.timer);
+        logger.error("Lost the lock; the sync stops before writing state", { lock: this.key, error: err });
+        return;
+      }
+      // Still inside the lease; the next heartbeat tries again
+      logger.warn("Failed to renew lock", { lock: this.key, error: err });
+    }
+  }
+
+  /**
+   * Fail unless this worker still holds an unexpired lease. Called before
+   * anything is written that another worker might write as well.
+   * @throws {LockLostError}
+   */
+  assertHeld() {
+    if (!this.enabled) return;
+    if (this.lost || Date.now() >= this.expiresAt) {
+      throw new LockLostError(this.key);
+    }
+  }
+
+  /**
+   * Stop renewing and hand the lease back, so the next worker does not have
+   * to wait for it to expire
+   */
+  async release() {
+    if (!this.enabled || !this.acquiredAt) return;
+
+    clearInterval(this.timer);
+    await this.renewal;
+    if (this.lost) return;
+
+    try {
+      await this.write(Date.now(), { released_at: new Date().toISOString() });
+      logger.debug("Released lock", { lock: this.key });
+    } catch (err) {
+      logger.warn("Failed to release lock; it expires on its own", { lock: this.key, error: err });
+    }
+  }
+}
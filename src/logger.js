@@ -0,0 +1,182 @@
+// src/logger.js
+import "dotenv/config";
+import { AsyncLocalStorage } from "async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field names whose values are never logged
+const SECRET_FIELD = /authorization|cookie|token|secret|password|passphrase|assertion|private_?key|signature|credential|salt/i;
+
+// Secrets that can appear inside messages, URLs and response bodies
+const SECRET_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/gi, "$1 [REDACTED]"],
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, "[REDACTED]"], // JWTs
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g, "[REDACTED]"],
+  // SAS signatures, presigned URLs and OAuth parameters
+  [/\b(sig|access_token|client_secret|client_assertion|X-Amz-Signature|X-Amz-Credential|X-Amz-Security-Token)=[^&\s"']+/gi, "$1=[REDACTED]"],
+  [/\b(AccountKey|SharedAccessSignature)=[^;\s"']+/gi, "$1=[REDACTED]"]
+];
+
+// Response bodies are cut to this many characters
+const MAX_BODY_LENGTH = 2000;
+
+// Per-sync context (run ID, target, list) shared by every log line of the sync
+const context = new AsyncLocalStorage();
+
+let settings; // singleton
+
+function getSettings() {
+  if (settings) return settings;
+
+  const level = (process.env.LOG_LEVEL || "info").toLowerCase();
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown LOG_LEVEL '${process.env.LOG_LEVEL}' (expected ${Object.keys(LEVELS).join(", ")})`);
+  }
+
+  settings = {
+    level,
+    // json: one object per line (default); text: readable lines for local runs
+    format: (process.env.LOG_FORMAT || "json").toLowerCase()
+  };
+  return settings;
+}
+
+function redactString(value) {
+  return SECRET_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+// Response bodies arrive as buffers, strings or parsed JSON
+function previewBody(data) {
+  let text;
+  if (Buffer.isBuffer(data)) {
+    text = data.toString("utf8");
+  } else if (typeof data === "string") {
+    text = data;
+  } else {
+    try {
+      text = JSON.stringify(data);
+    } catch {
+      text = String(data);
+    }
+  }
+  return text.length > MAX_BODY_LENGTH ? `${text.slice(0, MAX_BODY_LENGTH)}... (${text.length} characters)` : text;
+}
+
+/**
+ * Loggable form of an error: HTTP status and a cut-down response body for
+ * request errors, never the request or response headers
+ * @param {Error} err
+ * @returns {object}
+ */
+export function serializeError(err) {
+  if (!(err instanceof Error)) {
+    return { message: String(err) };
+  }
+
+  const serialized = { name: err.name, message: err.message };
+  if (err.code !== undefined) serialized.code = err.code;
+
+  const response = err.response || (err.$metadata && { status: err.$metadata.httpStatusCode });
+  if (response) {
+    serialized.status = response.status;
+    if (response.statusText) serialized.status_text = response.statusText;
+    if (response.data !== undefined) serialized.body = previewBody(response.data);
+  } else if (err.stack) {
+    serialized.stack = err.stack;
+  }
+
+  return serialized;
+}
+
+/**
+ * Copy of a value that is safe to log or store: secret fields are replaced,
+ * secrets inside strings are masked and errors are serialized
+ * @param {any} value
+ * @returns {any}
+ */
+export function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === "string") return redactString(value);
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (typeof value !== "object") return value;
+  if (depth >= 6) return "[...]";
+
+  if (Array.isArray(value)) return value.map(entry => redact(entry, depth + 1));
+
+  const result = {};
+  for (const [name, entry] of Object.entries(value)) {
+    result[name] = SECRET_FIELD.test(name) && entry ? "[REDACTED]" : redact(entry, depth + 1);
+  }
+  return result;
+}
+
+function formatText(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const details = Object.entries(fields)
+    .map(([name, value]) => `${name}=${typeof value === "object" ? JSON.stringify(value) : value}`)
+    .join(" ");
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ""}`;
+}
+
+function write(level, msg, fields, bindings) {
+  const { level: minLevel, format } = getSettings();
+  const store = context.getStore();
+  if (store && (level === "warn" || level === "error")) {
+    store.counts[level]++;
+  }
+  if (LEVELS[level] < LEVELS[minLevel]) return;
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...store?.fields,
+    ...bindings,
+    ...fields
+  });
+
+  const line = format === "text" ? formatText(entry) : JSON.stringify(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + "\n");
+}
+
+/**
+ * Create a logger. Every line carries the given fields plus those of the
+ * sync it runs in (see withLogContext).
+ * @param {object} [bindings] - Fields added to every line
+ */
+export function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write("debug", msg, fields, bindings),
+    info: (msg, fields) => write("info", msg, fields, bindings),
+    warn: (msg, fields) => write("warn", msg, fields, bindings),
+    error: (msg, fields) => write("error", msg, fields, bindings),
+    child: fields => createLogger({ ...bindings, ...fields })
+  };
+}
+
+export const logger = createLogger();
+
+/**
+ * Run fn with fields (e.g. run_id, target) added to every line it logs,
+ * including lines logged by the modules it calls
+ * @template T
+ * @param {object} fields
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export function withLogContext(fields, fn) {
+  const parent = context.getStore();
+  return context.run({
+    fields: { ...parent?.fields, ...fields },
+    counts: parent?.counts || { warn: 0, error: 0 }
+  }, fn);
+}
+
+/**
+ * Warnings and errors logged so far in the current context
+ * @returns {{warn: number, error: number}}
+ */
+export function getLogCounts() {
+  return { ...(context.getStore()?.counts || { warn: 0, error: 0 }) };
+}
@@ -0,0 +1,202 @@
+// src/metrics.js
+
+// Request latency histogram buckets, in seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const startedAt = Date.now();
+
+// Everything below is process-wide and only ever grows; Prometheus computes rates
+const targets = new Map(); // target name -> sync counters and last outcome
+const latency = new Map(); // service name -> { buckets, sum, count }
+const bytesUploaded = new Map(); // storage backend -> bytes
+const tokens = { lastSuccessAt: 0, lastFailureAt: 0, lastError: null, failures: 0 };
+let lastRequestAt = 0;
+
+function getTarget(name) {
+  if (!targets.has(name)) {
+    targets.set(name, {
+      runs: { success: 0, failure: 0 },
+      items: { insert: 0, update: 0, delete: 0, unchanged: 0 },
+      attachments: { insert: 0, update: 0, delete: 0, unchanged: 0 },
+      versions: 0,
+      heldDeletes: 0, // deletes the deletion guard held back in the last successful sync
+      syncStartedAt: 0, // non-zero while a sync is running
+      lastSuccessAt: 0,
+      lastDurationMs: 0,
+      lastErrorAt: 0,
+      lastError: null
+    });
+  }
+  return targets.get(name);
+}
+
+/**
+ * Record the duration of one request attempt (called by the retry layer)
+ * @param {string} service - Service name, e.g. "sharepoint" or "s3"
+ * @param {number} durationMs
+ */
+export function observeRequest(service, durationMs) {
+  if (!latency.has(service)) {
+    latency.set(service, { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+  }
+  const histogram = latency.get(service);
+  const seconds = durationMs / 1000;
+
+  LATENCY_BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) histogram.buckets[i]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+  lastRequestAt = Date.now();
+}
+
+export function recordBytesUploaded(backend, bytes) {
+  bytesUploaded.set(backend, (bytesUploaded.get(backend) || 0) + bytes);
+}
+
+/**
+ * Record the outcome of a token request
+ * @param {Error|null} err - null when a token was issued
+ */
+export function recordTokenResult(err) {
+  if (err) {
+    tokens.failures++;
+    tokens.lastFailureAt = Date.now();
+    tokens.lastError = err.message;
+  } else {
+    tokens.lastSuccessAt = Date.now();
+  }
+}
+
+export function recordSyncStart(targetName) {
+  getTarget(targetName).syncStartedAt = Date.now();
+}
+
+/**
+ * Add the counters of a finished sync
+ * @param {string} targetName
+ * @param {object} stats - StateTracker.getStats() of the run
+ * @param {number} versions - Version files written
+ * @param {number} heldDeletes - Deletes held back by the deletion guard
+ */
+export function recordSyncSuccess(targetName, stats, versions = 0, heldDeletes = 0) {
+  const target = getTarget(targetName);
+  target.runs.success++;
+  target.lastSuccessAt = Date.now();
+  target.lastDurationMs = target.lastSuccessAt - target.syncStartedAt;
+  target.syncStartedAt = 0;
+
+  target.items.insert += stats.inserts;
+  target.items.update += stats.updates;
+  target.items.delete += stats.deletes;
+  target.items.unchanged += stats.unchanged;
+  target.attachments.insert += stats.attachments.inserts;
+  target.attachments.update += stats.attachments.updates;
+  target.attachments.delete += stats.attachments.deletes;
+  target.attachments.unchanged += stats.attachments.unchanged;
+  target.versions += versions;
+  target.heldDeletes = heldDeletes;
+}
+
+export function recordSyncFailure(targetName, err) {
+  const target = getTarget(targetName);
+  target.runs.failure++;
+  target.syncStartedAt = 0;
+  target.lastErrorAt = Date.now();
+  target.lastError = err?.message || String(err);
+}
+
+// A sync that was stopped (e.g. on shutdown) is neither a success nor a failure
+export function recordSyncStopped(targetName) {
+  getTarget(targetName).syncStartedAt = 0;
+}
+
+/**
+ * Current health data for the health endpoints
+ * @returns {{startedAt: number, lastRequestAt: number, tokens: object, targets: Object<string, object>}}
+ */
+export function getHealthSnapshot() {
+  return {
+    startedAt,
+    lastRequestAt,
+    tokens: { ...tokens },
+    targets: Object.fromEntries([...targets.entries()].map(([name, target]) => [name, { ...target }]))
+  };
+}
+
+// Label values may contain anything; escape as the exposition format requires
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Render all metrics in the Prometheus text exposition format
+ * @param {object} requestStats - getRequestStats() from http.js
+ * @returns {string}
+ */
+export function renderMetrics(requestStats) {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value, suffix = ""] of samples) {
+      lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+    }
+  };
+  const seconds = ms => (ms ? ms / 1000 : 0);
+  const perTarget = fn => [...targets.entries()].flatMap(([name, target]) => fn(name, target));
+
+  metric("sharepoint_sync_start_time_seconds", "gauge", "Time the worker started", [[{}, seconds(startedAt)]]);
+
+  metric("sharepoint_sync_runs_total", "counter", "Finished syncs by result",
+    perTarget((name, t) => Object.entries(t.runs).map(([result, count]) => [{ target: name, result }, count])));
+  metric("sharepoint_sync_items_total", "counter", "Items processed by operation",
+    perTarget((name, t) => Object.entries(t.items).map(([operation, count]) => [{ target: name, operation }, count])));
+  metric("sharepoint_sync_attachments_total", "counter", "Attachments or library files processed by operation",
+    perTarget((name, t) => Object.entries(t.attachments).map(([operation, count]) => [{ target: name, operation }, count])));
+  metric("sharepoint_sync_versions_total", "counter", "Item versions written",
+    perTarget((name, t) => [[{ target: name }, t.versions]]));
+  metric("sharepoint_sync_held_deletes", "gauge", "Deletes held back by the deletion guard in the last successful sync",
+    perTarget((name, t) => [[{ target: name }, t.heldDeletes]]));
+  metric("sharepoint_sync_in_progress", "gauge", "1 while a sync of the target is running",
+    perTarget((name, t) => [[{ target: name }, t.syncStartedAt ? 1 : 0]]));
+  metric("sharepoint_sync_last_success_timestamp_seconds", "gauge", "Time the last successful sync finished",
+    perTarget((name, t) => [[{ target: name }, seconds(t.lastSuccessAt)]]));
+  metric("sharepoint_sync_last_duration_seconds", "gauge", "Duration of the last successful sync",
+    perTarget((name, t) => [[{ target: name }, seconds(t.lastDurationMs)]]));
+  metric("sharepoint_sync_last_error_timestamp_seconds", "gauge", "Time of the last failed sync",
+    perTarget((name, t) => [[{ target: name }, seconds(t.lastErrorAt)]]));
+  metric("sharepoint_sync_last_error_info", "gauge", "Message of the last failed sync",
+    perTarget((name, t) => (t.lastError ? [[{ target: name, message: t.lastError.slice(0, 200) }, 1]] : [])));
+
+  metric("sharepoint_sync_uploaded_bytes_total", "counter", "Bytes written to storage",
+    [...bytesUploaded.entries()].map(([backend, bytes]) => [{ backend }, bytes]));
+
+  const services = Object.entries(requestStats);
+  metric("sharepoint_sync_requests_total", "counter", "Request attempts per service",
+    services.map(([service, stats]) => [{ service }, stats.requests]));
+  metric("sharepoint_sync_request_retries_total", "counter", "Retried requests per service",
+    services.map(([service, stats]) => [{ service }, stats.retries]));
+  metric("sharepoint_sync_request_throttled_total", "counter", "Throttled requests per service",
+    services.map(([service, stats]) => [{ service }, stats.throttled]));
+  metric("sharepoint_sync_request_failures_total", "counter", "Requests that failed after all retries",
+    services.map(([service, stats]) => [{ service }, stats.failures]));
+
+  metric("sharepoint_sync_request_duration_seconds", "histogram", "Duration of request attempts",
+    [...latency.entries()].flatMap(([service, histogram]) => [
+      ...LATENCY_BUCKETS.map((bound, i) => [{ service, le: bound }, histogram.buckets[i], "_bucket"]),
+      [{ service, le: "+Inf" }, histogram.count, "_bucket"],
+      [{ service }, histogram.sum, "_sum"],
+      [{ service }, histogram.count, "_count"]
+    ]));
+
+  metric("sharepoint_sync_token_failures_total", "counter", "Failed token requests", [[{}, tokens.failures]]);
+  metric("sharepoint_sync_token_last_success_timestamp_seconds", "gauge", "Time a token was last issued",
+    [[{}, seconds(tokens.lastSuccessAt)]]);
+
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,167 @@
+// src/output.js
+import zlib from "zlib";
+import { parquetWriteBuffer } from "hyparquet-writer";
+import { uploadJSON, getObjectUrl } from "./storage/index.js";
+import { PartWriter } from "./batch.js";
+import { getObjectOptions } from "./tagging.js";
+import { logger } from "./logger.js";
+
+// Batch formats of `outputFormats` (see config.js); "item" is the per-item row.json layout
+const BATCH_FORMATS = {
+  "ndjson": {
+    extension: "ndjson",
+    contentType: "application/x-ndjson",
+    encode: rows => Buffer.from(toNdjson(rows))
+  },
+  "ndjson.gz": {
+    extension: "ndjson.gz",
+    contentType: "application/gzip",
+    encode: rows => zlib.gzipSync(toNdjson(rows))
+  },
+  "parquet": {
+    extension: "parquet",
+    contentType: "application/vnd.apache.parquet",
+    encode: rows => Buffer.from(parquetWriteBuffer({ columnData: toParquetColumns(rows) }))
+  }
+};
+
+function toNdjson(rows) {
+  return rows.map(row => JSON.stringify(row)).join("\n") + "\n";
+}
+
+// Parquet has no nested _sync_metadata object; its fields become _sync_metadata_* columns
+function flattenRow(row) {
+  const { _sync_metadata: syncMetadata = {}, ...fields } = row;
+  const flat = { ...fields };
+  for (const [key, value] of Object.entries(syncMetadata)) {
+    flat[`_sync_metadata_${key}`] = value;
+  }
+  return flat;
+}
+
+function getValueType(value) {
+  if (typeof value === "boolean") return "BOOLEAN";
+  if (typeof value === "number") return "DOUBLE";
+  return "STRING";
+}
+
+function toParquetValue(value, type) {
+  if (value === null || value === undefined) return null;
+  if (type !== "STRING") return value;
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/**
+ * Build column data for a batch of rows. Columns are the union of all row
+ * fields; a column whose values disagree on type is written as strings, and
+ * objects/arrays are written as JSON text.
+ */
+function toParquetColumns(rows) {
+  const flatRows = rows.map(flattenRow);
+  const columnTypes = new Map();
+
+  for (const row of flatRows) {
+    for (const [name, value] of Object.entries(row)) {
+      if (value === null || value === undefined) {
+        if (!columnTypes.has(name)) columnTypes.set(name, null);
+        continue;
+      }
+      const type = getValueType(value);
+      const known = columnTypes.get(name);
+      columnTypes.set(name, known && known !== type ? "STRING" : type);
+    }
+  }
+
+  return Array.from(columnTypes.entries()).map(([name, inferred]) => {
+    const type = inferred || "STRING";
+    return {
+      name,
+      type,
+      data: flatRows.map(row => toParquetValue(row[name], type))
+    };
+  });
+}
+
+/**
+ * Buffers the rows written during one sync and uploads them as
+ * date-partitioned batch files in every configured batch format:
+ *
+ *   list=LIST/rows/format=FORMAT/dt=YYYY-MM-DD/run-RUN_ID-part-00000.EXT
+ *
+ * Written files are appended to `progress.batchFiles`, so a resumed sync
+ * keeps numbering parts where the interrupted run stopped and its manifest
+ * lists both.
+ */
+export class BatchRowWriter extends PartWriter {
+  constructor(target, progress) {
+    if (!progress.batchFiles) {
+      progress.batchFiles = [];
+    }
+    super(progress.batchFiles, target.batchMaxRows, "Uploaded row batch");
+
+    this.target = target;
+    this.progress = progress;
+    this.formats = target.outputFormats.filter(format => format !== "item");
+    this.rowsPrefix = `${target.s3Prefix}list=${target.listName}/rows/`;
+    this.partition = `dt=${progress.startedAt.slice(0, 10)}`;
+  }
+
+  get enabled() {
+    return this.formats.length > 0;
+  }
+
+  /**
+   * Buffer a row; uploads a batch once `batchMaxRows` rows are buffered
+   * @param {object} row - Row including _sync_metadata
+   */
+  async add(row) {
+    if (!this.enabled) return;
+    await this.push(row);
+  }
+
+  // One file per batch format
+  encodePart(rows, part) {
+    const partName = `run-${this.progress.runId}-part-${String(part).padStart(5, "0")}`;
+
+    return this.formats.map(format => {
+      const { extension, contentType, encode } = BATCH_FORMATS[format];
+      const key = `${this.rowsPrefix}format=${format}/${this.partition}/${partName}.${extension}`;
+      const body = encode(rows);
+      return {
+        key,
+        body,
+        contentType,
+        // Batch files hold many items, so only list-level tags and metadata apply
+        options: getObjectOptions(this.target, "row"),
+        entry: { format, part, key, row_count: rows.length, size_bytes: body.length },
+        log: { rows: rows.length, format }
+      };
+    });
+  }
+
+  /**
+   * Flush remaining rows and write the manifest listing this run's files:
+   *
+   *   list=LIST/rows/_manifests/dt=YYYY-MM-DD/run-RUN_ID.json
+   */
+  async finish() {
+    if (!this.enabled) return;
+
+    await this.flush();
+
+    const files = [...this.progress.batchFiles].sort((a, b) => a.part - b.part);
+    const manifestKey = `${this.rowsPrefix}_manifests/${this.partition}/run-${this.progress.runId}.json`;
+    await uploadJSON(manifestKey, {
+      run_id: this.progress.runId,
+      list_name: this.target.listName,
+      started_at: this.progress.startedAt,
+      completed_at: new Date().toISOString(),
+      formats: this.formats,
+      row_count: files
+        .filter(file => file.format === this.formats[0])
+        .reduce((sum, file) => sum + file.row_count, 0),
+      files
+    });
+    logger.info("Uploaded batch manifest", { url: getObjectUrl(manifestKey) });
+  }
+}
@@ -0,0 +1,191 @@
+// src/plan.js
+
+const OPERATIONS = ["insert", "update", "delete", "unchanged"];
+
+function emptyCounts() {
+  return Object.fromEntries(OPERATIONS.map(operation => [operation, { count: 0, bytes: 0 }]));
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = -1;
+  do {
+    value /= 1024;
+    unit++;
+  } while (value >= 1024 && unit < units.length - 1);
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * What a sync would change, collected by a dry run instead of uploading.
+ * Items are added as the list is read; deletions once it has been read
+ * completely.
+ */
+export class SyncPlan {
+  constructor(target, progress) {
+    this.target = target;
+    this.progress = progress;
+    this.schema = null; // set when the sync would write a new schema version
+    this.items = { insert: [], update: [], delete: [], unchanged: 0 };
+    this.attachments = emptyCounts();
+    this.tooLarge = [];
+    this.unknownSize = 0;
+    this.deletionGuard = { present: 0, held: 0, limit: null };
+  }
+
+  /**
+   * Note the schema the sync would write
+   * @param {{schema: object, changed: boolean}} comparison - Result of compareSchema()
+   */
+  setSchema({ schema, changed }) {
+    this.schema = changed
+      ? { version: schema.version, previous_version: schema.previous_version, changes: schema.changes }
+      : null;
+  }
+
+  get maxBytes() {
+    return this.target.maxAttachmentSizeMB * 1024 * 1024;
+  }
+
+  /**
+   * Note one attachment (or library file content) and its size
+   * @param {'insert'|'update'|'delete'|'unchanged'} status
+   * @param {number|null|undefined} bytes
+   */
+  addAttachment(itemId, fileName, status, bytes) {
+    const counts = this.attachments[status];
+    counts.count++;
+
+    if (bytes === null || bytes === undefined) {
+      if (status !== "delete") this.unknownSize++;
+      return;
+    }
+    counts.bytes += bytes;
+
+    if (status !== "delete" && this.maxBytes && bytes > this.maxBytes) {
+      this.tooLarge.push({ item_id: itemId, file_name: fileName, status, bytes });
+    }
+  }
+
+  /**
+   * Note an item the sync would write (or skip as unchanged)
+   * @param {number} itemId
+   * @param {'insert'|'update'|'unchanged'} operation
+   * @param {object} [details] - Extra fields for the plan entry (e.g. path)
+   */
+  addItem(itemId, operation, details = {}) {
+    if (operation === "unchanged") {
+      this.items.unchanged++;
+      return;
+    }
+    this.items[operation].push({ item_id: itemId, ...details });
+  }
+
+  /**
+   * Note the items that would get deletion markers
+   * @param {Array<object>} deletedItems - StateTracker.getDeletedItems()
+   */
+  addDeletes(deletedItems) {
+    for (const deleted of deletedItems) {
+      this.items.delete.push({
+        item_id: deleted.itemId,
+        last_seen: deleted.lastSeen ?? null,
+        ...(deleted.file && { path: deleted.file.path })
+      });
+      if (deleted.file) {
+        this.addAttachment(deleted.itemId, deleted.file.path, "delete", deleted.file.size);
+      }
+    }
+  }
+
+  /**
+   * Note what the deletion guard kept or held back
+   * @param {{present: number, held: number, limit: number|null}} guard - Result of the deletion guard
+   */
+  setDeletionGuard({ present, held, limit }) {
+    this.deletionGuard = { present, held, limit };
+  }
+
+  /**
+   * Bytes the sync would upload: new and changed attachments, plus unchanged
+   * ones when `skipUnchanged` is off. Files over the size limit are skipped.
+   */
+  getUploadBytes() {
+    const statuses = this.target.skipUnchanged ? ["insert", "update"] : ["insert", "update", "unchanged"];
+    const total = statuses.reduce((sum, status) => sum + this.attachments[status].bytes, 0);
+    const skipped = this.tooLarge
+      .filter(file => statuses.includes(file.status))
+      .reduce((sum, file) => sum + file.bytes, 0);
+    return total - skipped;
+  }
+
+  toJSON() {
+    const { target, progress, items } = this;
+    return {
+      target: target.name,
+      list_name: target.listName,
+      site_url: target.siteUrl,
+      type: target.type,
+      api: progress.api,
+      mode: progress.mode,
+      planned_at: progress.startedAt,
+      schema: this.schema,
+      summary: {
+        inserts: items.insert.length,
+        updates: items.update.length,
+        deletes: items.delete.length,
+        held_deletes: this.deletionGuard.held,
+        unchanged: items.unchanged,
+        [target.type === "library" ? "files" : "attachments"]: this.attachments,
+        upload_bytes: this.getUploadBytes(),
+        unknown_size: this.unknownSize,
+        too_large: this.tooLarge.length
+      },
+      inserts: items.insert,
+      updates: items.update,
+      deletes: items.delete,
+      too_large: this.tooLarge,
+      deletion_guard: this.deletionGuard
+    };
+  }
+
+  /**
+   * Readable summary for the console
+   * @returns {string}
+   */
+  format() {
+    const { target, progress, items, attachments } = this;
+    const label = target.type === "library" ? "Files" : "Attachments";
+    const lines = [
+      `Plan for '${target.name}' (${target.listName}, ${progress.mode} sync via ${progress.api}):`,
+      `  Inserts:   ${items.insert.length}`,
+      `  Updates:   ${items.update.length}`,
+      `  Deletes:   ${items.delete.length}`,
+      `  Unchanged: ${items.unchanged}`,
+      `  ${label}: ${attachments.insert.count} new (${formatBytes(attachments.insert.bytes)}), ` +
+        `${attachments.update.count} changed (${formatBytes(attachments.update.bytes)}), ` +
+        `${attachments.delete.count} removed, ${attachments.unchanged.count} unchanged`,
+      `  Upload:    ${formatBytes(this.getUploadBytes())}` +
+        (this.unknownSize > 0 ? ` (+ ${this.unknownSize} files of unknown size)` : "")
+    ];
+
+    if (this.deletionGuard.held > 0) {
+      lines.push(`  Held:      ${this.deletionGuard.held} deletes over the limit of ${this.deletionGuard.limit}`);
+    }
+    if (this.deletionGuard.present > 0) {
+      lines.push(`  Kept:      ${this.deletionGuard.present} items missing from the listing that still exist`);
+    }
+    if (this.tooLarge.length > 0) {
+      lines.push(`  Skipped:   ${this.tooLarge.length} files over ${target.maxAttachmentSizeMB} MB`);
+    }
+    if (this.schema) {
+      lines.push(`  Schema:    new version ${this.schema.version}`);
+      for (const [kind, names] of Object.entries(this.schema.changes || {})) {
+        if (names.length > 0) lines.push(`             ${kind} column(s) ${names.join(", ")}`);
+      }
+    }
+    return lines.join("\n");
+  }
+}
@@ -0,0 +1,42 @@
+// src/pool.js
+
+/**
+ * Run an async worker over a list of inputs with at most `concurrency`
+ * calls in flight. Results are returned in input order.
+ *
+ * When a worker throws, no new inputs are started; in-flight calls are
+ * allowed to finish and the first error is rethrown.
+ * @param {Array} inputs - Items to process
+ * @param {number} concurrency - Maximum number of parallel workers
+ * @param {(input: any, index: number) => Promise<any>} worker - Async function to run per input
+ * @param {object} options
+ * @param {() => boolean} [options.shouldStop] - Checked before starting each input (e.g. on shutdown)
+ * @returns {Promise<Array>}
+ */
+export async function runWithConcurrency(inputs, concurrency, worker, options = {}) {
+  const results = new Array(inputs.length);
+  const shouldStop = options.shouldStop || (() => false);
+  let nextIndex = 0;
+  let firstError = null;
+
+  async function runWorker() {
+    while (!firstError && !shouldStop() && nextIndex < inputs.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(inputs[index], index);
+      } catch (err) {
+        if (!firstError) firstError = err;
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, inputs.length));
+  const workers = [];
+  for (let i = 0; i < workerCount; i++) {
+    workers.push(runWorker());
+  }
+  await Promise.all(workers);
+
+  if (firstError) throw firstError;
+  return results;
+}
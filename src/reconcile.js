@@ -0,0 +1,232 @@
+// src/reconcile.js
+import { listObjects, uploadJSON, deleteObject, getObjectUrl } from "./storage/index.js";
+import { logger } from "./logger.js";
+
+// Item subfolders that only ever grow (history and markers); never orphans
+const HISTORY_FOLDERS = ["versions/", "attachment_deletions/"];
+
+const DELETION_MARKER = "deletion_marker.json";
+
+function getItemsPrefix(target) {
+  return `${target.s3Prefix}list=${target.listName}/item_id=`;
+}
+
+/**
+ * Comparison of the objects in storage with SharePoint and the sync state.
+ * The item folders are listed up front; a sync or dry run then reports every
+ * item it reads with the objects it expects (checkItem), and finish() flags
+ * what is left over.
+ */
+export class ReconcileReport {
+  /**
+   * @param {object} target - Sync target (see config.js)
+   * @param {Array<{key: string}>} objects - Objects under the list's item folders
+   * @param {boolean} repair - Whether missing objects are re-uploaded
+   */
+  constructor(target, objects, repair) {
+    this.target = target;
+    this.repair = repair;
+    this.itemsPrefix = getItemsPrefix(target);
+    this.startedAt = new Date().toISOString();
+    this.objectCount = objects.length;
+    this.folders = new Map(); // item ID -> keys relative to the item folder
+    this.checked = new Map(); // item ID -> keys the item may hold
+    this.missing = [];
+    this.orphans = [];
+    this.staleMarkers = [];
+    this.result = null; // set by finish()
+
+    for (const { key } of objects) {
+      if (!key.startsWith(this.itemsPrefix)) continue;
+      const rest = key.slice(this.itemsPrefix.length);
+      const slash = rest.indexOf("/");
+      if (slash < 0) continue;
+
+      const itemId = rest.slice(0, slash);
+      if (!this.folders.has(itemId)) this.folders.set(itemId, new Set());
+      this.folders.get(itemId).add(rest.slice(slash + 1));
+    }
+  }
+
+  /**
+   * List the item folders of a target
+   * @returns {Promise<ReconcileReport>}
+   */
+  static async load(target, { repair = false } = {}) {
+    const prefix = getItemsPrefix(target);
+    const objects = await listObjects(prefix);
+    logger.info("Listed stored objects", { objects: objects.length, prefix });
+    return new ReconcileReport(target, objects, repair);
+  }
+
+  getKey(itemId, relativeKey) {
+    return `${this.itemsPrefix}${itemId}/${relativeKey}`;
+  }
+
+  /**
+   * Note an item that exists in SharePoint and compare its folder with what
+   * earlier syncs wrote
+   * @param {number} itemId
+   * @param {Array<string>} expected - Keys (relative to the item folder) an earlier sync wrote
+   * @param {Array<string>} [known] - Further keys the item may hold
+   * @returns {boolean} true if any expected object is missing
+   */
+  checkItem(itemId, expected, known = []) {
+    const id = String(itemId);
+    const stored = this.folders.get(id) || new Set();
+    this.checked.set(id, new Set([...expected, ...known]));
+
+    const missing = expected.filter(key => !stored.has(key));
+    if (missing.length === 0) return false;
+
+    this.missing.push({ item_id: itemId, keys: missing.map(key => this.getKey(id, key)) });
+    logger.warn(this.repair ? "Objects missing from storage; uploading them again" : "Objects missing from storage", {
+      item_id: itemId,
+      missing
+    });
+    return true;
+  }
+
+  /**
+   * Flag orphan objects and stale deletion markers once all items were read
+   * @param {StateTracker} stateTracker - State after the sync or dry run
+   * @param {{deleted: Array<object>, held: number}} guard - Result of the deletion guard
+   * @param {object} progress - Progress of the sync or dry run
+   */
+  finish(stateTracker, guard, progress) {
+    // Items kept in the state without being read (e.g. held back deletes) are left alone
+    const tracked = new Set([...stateTracker.currentState.entries()]
+      .map(([key, data]) => String(data.file ? data.file.itemId : key)));
+    const deletedNow = new Set(guard.deleted.map(item => String(item.itemId)));
+
+    for (const [id, keys] of this.folders) {
+      const allowed = this.checked.get(id);
+
+      if (!allowed) {
+        if (tracked.has(id) || deletedNow.has(id) || keys.has(DELETION_MARKER)) continue;
+        // Neither in SharePoint nor in the state, and never marked deleted
+        for (const key of keys) this.orphans.push({ item_id: Number(id), key: this.getKey(id, key) });
+        continue;
+      }
+
+      for (const key of keys) {
+        if (allowed.has(key) || HISTORY_FOLDERS.some(folder => key.startsWith(folder))) continue;
+
+        if (key === DELETION_MARKER) {
+          this.staleMarkers.push({ item_id: Number(id), key: this.getKey(id, key), removed: false });
+          continue;
+        }
+        // Removed attachments keep their file (and text sidecars) next to an attachment deletion marker
+        const removedFile = key.startsWith("attachments/")
+          ? key.slice("attachments/".length)
+          : key.match(/^attachments_text\/(.+)\.(?:txt|json)$/)?.[1];
+        if (removedFile && keys.has(`attachment_deletions/${removedFile}.json`)) {
+          continue;
+        }
+        this.orphans.push({ item_id: Number(id), key: this.getKey(id, key) });
+      }
+    }
+
+    const stats = stateTracker.getStats();
+    this.result = {
+      run_id: progress.runId,
+      sharepoint: {
+        items: this.checked.size,
+        not_in_state: stats.inserts,
+        changed: stats.updates,
+        missing_from_sharepoint: stats.deletes,
+        held_deletes: guard.held
+      }
+    };
+
+    if (this.orphans.length > 0) {
+      logger.warn("Orphan objects in storage", {
+        count: this.orphans.length,
+        keys: this.orphans.slice(0, 20).map(orphan => orphan.key)
+      });
+    }
+    if (this.staleMarkers.length > 0) {
+      logger.warn("Deletion markers for items that still exist", {
+        count: this.staleMarkers.length,
+        item_ids: this.staleMarkers.slice(0, 20).map(marker => marker.item_id)
+      });
+    }
+  }
+
+  /**
+   * Delete the stale deletion markers (repair only)
+   */
+  async removeStaleMarkers() {
+    for (const marker of this.staleMarkers) {
+      await deleteObject(marker.key);
+      marker.removed = true;
+      logger.info("Removed stale deletion marker", { item_id: marker.item_id, url: getObjectUrl(marker.key) });
+    }
+  }
+
+  /**
+   * Save the report as `_state/reconcile/TIMESTAMP-RUN_ID.json` and
+   * `_state/last_reconcile.json`
+   */
+  async save() {
+    const report = this.toJSON();
+    const stateDir = `${this.target.s3Prefix}list=${this.target.listName}/_state/`;
+    const startedAt = this.startedAt.replace(/[:.]/g, "-");
+
+    await uploadJSON(`${stateDir}reconcile/${startedAt}-${report.run_id}.json`, report);
+    await uploadJSON(`${stateDir}last_reconcile.json`, report);
+  }
+
+  toJSON() {
+    const { target } = this;
+    return {
+      run_id: this.result?.run_id ?? null,
+      target: target.name,
+      list_name: target.listName,
+      site_url: target.siteUrl,
+      type: target.type,
+      repair: this.repair,
+      started_at: this.startedAt,
+      finished_at: new Date().toISOString(),
+      sharepoint: this.result?.sharepoint ?? null,
+      storage: {
+        objects: this.objectCount,
+        item_folders: this.folders.size,
+        missing_items: this.missing.length,
+        orphans: this.orphans.length,
+        stale_deletion_markers: this.staleMarkers.length
+      },
+      missing: this.missing.map(entry => ({ ...entry, repaired: this.repair })),
+      orphans: this.orphans,
+      stale_deletion_markers: this.staleMarkers
+    };
+  }
+
+  /**
+   * Readable summary for the console
+   * @returns {string}
+   */
+  format() {
+    const { target } = this;
+    const sharepoint = this.result?.sharepoint;
+    const lines = [
+      `Reconciliation of '${target.name}' (${target.listName}${this.repair ? ", repaired" : ", report only"}):`,
+      `  Stored:    ${this.objectCount} objects in ${this.folders.size} item folders`
+    ];
+
+    if (sharepoint) {
+      lines.push(
+        `  SharePoint: ${sharepoint.items} items, ${sharepoint.not_in_state} not in the state, ` +
+          `${sharepoint.changed} changed, ${sharepoint.missing_from_sharepoint} in the state but gone` +
+          (sharepoint.held_deletes > 0 ? ` (${sharepoint.held_deletes} deletes held back)` : "")
+      );
+    }
+    lines.push(
+      `  Missing:   ${this.missing.length} items with missing objects` + (this.repair && this.missing.length > 0 ? " (uploaded again)" : ""),
+      `  Orphans:   ${this.orphans.length} objects`,
+      `  Stale deletion markers: ${this.staleMarkers.length}` +
+        (this.staleMarkers.some(marker => marker.removed) ? " (removed)" : "")
+    );
+    return lines.join("\n");
+  }
+}
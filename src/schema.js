@@ -0,0 +1,257 @@
+// src/schema.js
+import { getListFields } from "./sharepoint.js";
+import { uploadJSON, downloadObject, objectExists, getObjectUrl } from "./storage/index.js";
+import { logger } from "./logger.js";
+
+// SharePoint field type (TypeAsString) -> column type in the schema document
+const COLUMN_TYPES = {
+  Text: "string",
+  Note: "string",
+  Guid: "string",
+  Calculated: "string",
+  Integer: "integer",
+  Counter: "integer",
+  Number: "number",
+  Currency: "number",
+  Boolean: "boolean",
+  Attachments: "boolean",
+  DateTime: "datetime",
+  Choice: "choice",
+  MultiChoice: "multichoice",
+  Lookup: "lookup",
+  LookupMulti: "lookup",
+  User: "user",
+  UserMulti: "user",
+  URL: "url"
+};
+
+// Computed fields (LinkTitle, Edit, DocIcon, ...) are UI helpers and never carry row data
+const SKIPPED_TYPES = new Set(["Computed", "ContentTypeId"]);
+
+function getSchemaKey(target) {
+  return `${target.s3Prefix}list=${target.listName}/_schema/schema.json`;
+}
+
+// Collections come back as plain arrays with odata=nometadata, or { results } in verbose mode
+function toArray(value) {
+  if (value === null || value === undefined) return [];
+  if (Array.isArray(value)) return value;
+  if (Array.isArray(value.results)) return value.results;
+  return [value];
+}
+
+// Property name of a field in the REST item JSON; names starting with "_" get an OData_ prefix
+function getPropertyName(field) {
+  if (field.EntityPropertyName) return field.EntityPropertyName;
+  return field.InternalName.startsWith("_") ? `OData_${field.InternalName}` : field.InternalName;
+}
+
+/**
+ * Turn SharePoint field definitions into schema columns keyed by display
+ * name. Two fields with the same display name keep their internal name in
+ * brackets so neither is lost.
+ * @param {Array<object>} fields - Result of getListFields()
+ * @returns {Array<object>}
+ */
+export function buildColumns(fields) {
+  const visible = fields.filter(field => !SKIPPED_TYPES.has(field.TypeAsString));
+
+  const titleCounts = new Map();
+  for (const field of visible) {
+    titleCounts.set(field.Title, (titleCounts.get(field.Title) || 0) + 1);
+  }
+
+  return visible
+    .map(field => {
+      const type = COLUMN_TYPES[field.TypeAsString] || "json";
+      return {
+        name: titleCounts.get(field.Title) > 1 ? `${field.Title} (${field.InternalName})` : field.Title,
+        internal_name: field.InternalName,
+        property: getPropertyName(field),
+        type,
+        sharepoint_type: field.TypeAsString,
+        multiple: field.TypeAsString.endsWith("Multi") || field.TypeAsString === "MultiChoice" ||
+          Boolean(field.AllowMultipleValues),
+        required: Boolean(field.Required),
+        read_only: Boolean(field.ReadOnlyField),
+        lookup_list: type === "lookup" ? field.LookupList || null : null,
+        lookup_field: type === "lookup" ? field.LookupField || null : null,
+        choices: type === "choice" || type === "multichoice" ? toArray(field.Choices) : null
+      };
+    })
+    .sort((a, b) => a.internal_name.localeCompare(b.internal_name));
+}
+
+/**
+ * Compare two column lists by internal name
+ * @returns {{added: string[], removed: string[], changed: string[]}} Internal names
+ */
+export function diffColumns(previousColumns, columns) {
+  const previous = new Map(previousColumns.map(column => [column.internal_name, column]));
+  const current = new Map(columns.map(column => [column.internal_name, column]));
+
+  const added = [...current.keys()].filter(name => !previous.has(name));
+  const removed = [...previous.keys()].filter(name => !current.has(name));
+  const changed = [...current.entries()]
+    .filter(([name, column]) => {
+      const before = previous.get(name);
+      return before && (before.type !== column.type || before.name !== column.name || before.multiple !== column.multiple);
+    })
+    .map(([name]) => name);
+
+  return { added, removed, changed };
+}
+
+/**
+ * Fetch the list's field definitions and compare them with the schema saved
+ * by the previous run, without writing anything
+ * @returns {Promise<{schema: object, changed: boolean}>} Current schema
+ *   document, and whether it differs from the saved one
+ */
+export async function compareSchema(target, token) {
+  const schemaKey = getSchemaKey(target);
+
+  let previous = null;
+  if (await objectExists(schemaKey)) {
+    previous = JSON.parse(await downloadObject(schemaKey));
+  }
+
+  const fields = await getListFields(target.siteUrl, target.listName, token);
+  const columns = buildColumns(fields);
+
+  if (previous && JSON.stringify(previous.columns) === JSON.stringify(columns)) {
+    return { schema: previous, changed: false };
+  }
+
+  const schema = {
+    list_name: target.listName,
+    version: (previous?.version || 0) + 1,
+    discovered_at: new Date().toISOString(),
+    previous_version: previous?.version ?? null,
+    changes: previous ? diffColumns(previous.columns, columns) : null,
+    columns
+  };
+  return { schema, changed: true };
+}
+
+/**
+ * Write a new schema version to `_schema/schema.json`, plus a copy under
+ * `_schema/history/`
+ * @param {object} schema - Changed schema document from compareSchema()
+ */
+export async function saveSchema(target, schema) {
+  for (const [kind, names] of Object.entries(schema.changes || {})) {
+    if (names.length > 0) {
+      logger.warn(`Schema change: ${kind} columns`, { columns: names });
+    }
+  }
+
+  const schemaKey = getSchemaKey(target);
+  await uploadJSON(schemaKey, schema);
+  await uploadJSON(schemaKey.replace(/schema\.json$/, `history/schema-v${schema.version}.json`), schema);
+  logger.info("Uploaded schema", { schema_version: schema.version, columns: schema.columns.length, url: getObjectUrl(schemaKey) });
+}
+
+/**
+ * Fetch the list's field definitions and compare them with the schema saved
+ * by the previous run. A new version is saved only when the columns changed.
+ * @returns {Promise<object>} Current schema document
+ */
+export async function discoverSchema(target, token) {
+  const { schema, changed } = await compareSchema(target, token);
+  if (changed) await saveSchema(target, schema);
+  return schema;
+}
+
+/**
+ * Lookup and person fields to $expand so rows carry their values rather
+ * than only IDs
+ * @param {object} schema - Schema document
+ * @param {Array<string>|null} select - Fields the target selects (null = all)
+ * @returns {{navigation: string[], fields: string[]}}
+ */
+export function getExpandQuery(schema, select) {
+  const navigation = [];
+  const fields = [];
+
+  for (const column of schema.columns) {
+    if (column.type !== "lookup" && column.type !== "user") continue;
+    if (select && !select.includes(column.property)) continue;
+
+    navigation.push(column.property);
+    fields.push(`${column.property}/Id`);
+    if (column.type === "user") {
+      fields.push(`${column.property}/Title`, `${column.property}/EMail`);
+    } else if (column.lookup_field) {
+      fields.push(`${column.property}/${column.lookup_field}`);
+    }
+  }
+
+  return { navigation, fields };
+}
+
+function normalizeLookup(value, column) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== "object") return { id: value, value: null };
+  return { id: value.Id ?? null, value: column.lookup_field ? value[column.lookup_field] ?? null : null };
+}
+
+function normalizeUser(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== "object") return { id: value, title: null, email: null };
+  return { id: value.Id ?? null, title: value.Title ?? null, email: value.EMail ?? null };
+}
+
+function normalizeValue(value, column) {
+  if (value === null || value === undefined) {
+    return column.multiple ? [] : null;
+  }
+
+  switch (column.type) {
+    case "integer":
+      return parseInt(value, 10);
+    case "number":
+      return Number(value);
+    case "boolean":
+      return value === true || value === "true" || value === 1 || value === "1";
+    case "datetime": {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? value : date.toISOString();
+    }
+    case "multichoice":
+      return toArray(value);
+    case "lookup":
+      return column.multiple ? toArray(value).map(v => normalizeLookup(v, column)) : normalizeLookup(value, column);
+    case "user":
+      return column.multiple ? toArray(value).map(normalizeUser) : normalizeUser(value);
+    case "url":
+      return { url: value.Url ?? null, description: value.Description ?? null };
+    default:
+      return value;
+  }
+}
+
+/**
+ * Rewrite a raw item against the schema: keys become display names and
+ * values get typed. Lookup and person fields that were not expanded fall
+ * back to their `<Field>Id` property. Properties not described by the
+ * schema are dropped.
+ * @param {object} item - Item as returned by SharePoint
+ * @param {object} schema - Schema document
+ * @returns {object}
+ */
+export function normalizeRow(item, schema) {
+  const row = {};
+
+  for (const column of schema.columns) {
+    let value = item[column.property];
+    if (value === undefined && (column.type === "lookup" || column.type === "user")) {
+      value = item[`${column.property}Id`];
+    }
+    if (value === undefined) continue; // not selected
+
+    row[column.name] = normalizeValue(value, column);
+  }
+
+  return row;
+}
@@ -1,61 +1,424 @@
 // src/sharepoint.js
-import axios from "axios";
+import { httpRequest, isRetryableError } from "./http.js";
+import { logger } from "./logger.js";
 
-function getHeaders(token) {
+// SPChangeType values returned by GetChanges
+const CHANGE_TYPE = {
+  ADD: 1,
+  UPDATE: 2,
+  DELETE_OBJECT: 3,
+  RENAME: 4,
+  MOVE_AWAY: 5,
+  MOVE_INTO: 6,
+  RESTORE: 7
+};
+
+// Max item IDs per $filter request (keeps the URL well under SharePoint's limit)
+const ITEMS_BY_ID_BATCH_SIZE = 50;
+
+// All SharePoint calls share one retry/throttle/circuit-breaker budget
+function sharePointRequest(config, options) {
+  return httpRequest("sharepoint", config, options);
+}
+
+function getHeaders() {
   return {
-    Authorization: `Bearer ${token}`,
     Accept: "application/json;odata=nometadata"
   };
 }
 
-// Get all items from the list with automatic pagination
-export async function getListItems(siteUrl, listName, token) {
-  let allItems = [];
-  let nextUrl = `${siteUrl}/_api/web/lists/getbytitle('${listName}')/items?$top=5000`;
+// Base REST URL for a list, with single quotes escaped
+function getListApiUrl(siteUrl, listName) {
+  const encodedListName = listName.replace(/'/g, "''");
+  return `${siteUrl}/_api/web/lists/getbytitle('${encodedListName}')`;
+}
+
+// REST URL of a list item (recorded as the source of the objects written for it)
+export function getItemApiUrl(siteUrl, listName, itemId) {
+  return `${getListApiUrl(siteUrl, listName)}/items(${itemId})`;
+}
+
+// $select/$expand query string; expanded lookup fields need their
+// sub-fields selected, so `*` stands in when no select list is given
+function buildSelect(select, expand) {
+  const expandFields = expand?.fields || [];
+  if ((!select || select.length === 0) && expandFields.length === 0) return "";
+
+  const fields = [...(select && select.length > 0 ? select : ["*"]), ...expandFields];
+  let query = `&$select=${fields.map(encodeURIComponent).join(",")}`;
+  if (expand?.navigation?.length > 0) {
+    query += `&$expand=${expand.navigation.map(encodeURIComponent).join(",")}`;
+  }
+  return query;
+}
+
+/**
+ * Iterate over the list one page at a time
+ * @param {object} options
+ * @param {Array<string>} [options.select] - Restrict the fields returned for each item
+ * @param {{navigation: string[], fields: string[]}} [options.expand] - Lookup/person fields to expand
+ * @param {string} [options.filter] - OData $filter the items must match
+ * @param {string} [options.startUrl] - Page URL to resume from (a saved `nextUrl`)
+ * @returns {AsyncGenerator<{url: string, items: Array<object>, nextUrl: string|null}>}
+ */
+export async function* iterateListItemPages(siteUrl, listName, token, options = {}) {
+  let nextUrl = options.startUrl ||
+    `${getListApiUrl(siteUrl, listName)}/items?$top=5000${buildSelect(options.select, options.expand)}` +
+    (options.filter ? `&$filter=${encodeURIComponent(options.filter)}` : "");
 
   while (nextUrl) {
-    const res = await axios.get(nextUrl, {
-      headers: getHeaders(token)
+    const url = nextUrl;
+    const res = await sharePointRequest({
+      url,
+      token,
+      headers: getHeaders()
     });
 
-    const items = res.data.value || [];
-    allItems = allItems.concat(items);
-
     // Check for next page link (SharePoint uses odata.nextLink or __next)
     nextUrl = res.data['odata.nextLink'] || res.data['__next'] || null;
-    
-    if (nextUrl) {
-      console.log(`  Fetched ${allItems.length} items so far, continuing...`);
+
+    yield { url, items: res.data.value || [], nextUrl };
+  }
+}
+
+// Get all items from the list with automatic pagination
+// Pass options.select to restrict the fields returned for each item
+export async function getListItems(siteUrl, listName, token, options = {}) {
+  let allItems = [];
+
+  for await (const page of iterateListItemPages(siteUrl, listName, token, options)) {
+    allItems = allItems.concat(page.items);
+
+    if (page.nextUrl) {
+      logger.debug("Fetched items, continuing", { fetched: allItems.length });
     }
   }
 
   return allItems;
 }
 
+// Fetch specific items by ID (used by delta sync for changed items)
+// Items that no longer exist (or no longer match options.filter) are simply absent from the result
+export async function getListItemsByIds(siteUrl, listName, token, itemIds, options = {}) {
+  let allItems = [];
+
+  for (let i = 0; i < itemIds.length; i += ITEMS_BY_ID_BATCH_SIZE) {
+    const batch = itemIds.slice(i, i + ITEMS_BY_ID_BATCH_SIZE);
+    const ids = batch.map(id => `Id eq ${id}`).join(" or ");
+    const filter = encodeURIComponent(options.filter ? `(${ids}) and (${options.filter})` : ids);
+    const url = `${getListApiUrl(siteUrl, listName)}/items?$top=${batch.length}&$filter=${filter}${buildSelect(options.select, options.expand)}`;
+
+    const res = await sharePointRequest({
+      url: url,
+      token,
+      headers: getHeaders()
+    });
+
+    allItems = allItems.concat(res.data.value || []);
+  }
+
+  return allItems;
+}
+
+// REST URL of a folder, by server-relative URL
+function getFolderApiUrl(siteUrl, folderUrl) {
+  return `${siteUrl}/_api/web/GetFolderByServerRelativeUrl('${encodeURIComponent(folderUrl.replace(/'/g, "''"))}')`;
+}
+
+// Every entry of a collection request, following the next page links
+async function getAllPages(url, token) {
+  let entries = [];
+  let nextUrl = url;
+
+  while (nextUrl) {
+    const res = await sharePointRequest({
+      url: nextUrl,
+      token,
+      headers: getHeaders()
+    });
+
+    entries = entries.concat(res.data.value || []);
+    nextUrl = res.data['odata.nextLink'] || res.data['__next'] || null;
+  }
+
+  return entries;
+}
+
+// File properties fetched for every document in a library
+const FILE_SELECT = ["Name", "ServerRelativeUrl", "UniqueId", "Length", "ETag", "TimeLastModified", "UIVersionLabel"];
+
+/**
+ * Walk a document library one folder at a time, depth first. Each file
+ * comes with its list item fields in `ListItemAllFields`. The library's
+ * `Forms` folder (view pages) is skipped.
+ * @param {object} options
+ * @param {Array<string>} [options.select] - Restrict the list item fields returned for each file
+ * @returns {AsyncGenerator<{folderUrl: string, folderPath: string, files: Array<object>}>}
+ *   `folderPath` is relative to the library root ("" for the root itself)
+ */
+export async function* iterateLibraryFolders(siteUrl, listName, token, options = {}) {
+  const rootRes = await sharePointRequest({
+    url: `${getListApiUrl(siteUrl, listName)}/RootFolder?$select=ServerRelativeUrl`,
+    token,
+    headers: getHeaders()
+  });
+  const rootUrl = rootRes.data.ServerRelativeUrl;
+
+  const itemFields = options.select && options.select.length > 0
+    ? options.select.map(field => `ListItemAllFields/${field}`)
+    : ["ListItemAllFields"];
+  const fileQuery = `$select=${[...FILE_SELECT, ...itemFields].map(encodeURIComponent).join(",")}&$expand=ListItemAllFields`;
+
+  const pending = [rootUrl];
+  while (pending.length > 0) {
+    const folderUrl = pending.pop();
+
+    const files = await getAllPages(`${getFolderApiUrl(siteUrl, folderUrl)}/Files?${fileQuery}`, token);
+    const folders = await getAllPages(`${getFolderApiUrl(siteUrl, folderUrl)}/Folders?$select=Name,ServerRelativeUrl`, token);
+
+    // Reverse order on the stack, so subfolders are visited alphabetically
+    const subfolders = folders
+      .filter(folder => !(folderUrl === rootUrl && folder.Name === "Forms"))
+      .sort((a, b) => b.Name.localeCompare(a.Name));
+    for (const folder of subfolders) {
+      pending.push(folder.ServerRelativeUrl);
+    }
+
+    yield {
+      folderUrl,
+      folderPath: folderUrl.slice(rootUrl.length).replace(/^\/+/, ""),
+      files
+    };
+  }
+}
+
+/**
+ * Get every version of an item, oldest first. Each version carries the
+ * field values it had, plus VersionId, VersionLabel, IsCurrentVersion,
+ * Created and Editor.
+ * @returns {Promise<Array<object>>}
+ */
+export async function getItemVersions(siteUrl, listName, itemId, token) {
+  let versions = [];
+  let nextUrl = `${getListApiUrl(siteUrl, listName)}/items(${itemId})/versions`;
+
+  while (nextUrl) {
+    const res = await sharePointRequest({
+      url: nextUrl,
+      token,
+      headers: getHeaders()
+    });
+
+    versions = versions.concat(res.data.value || []);
+    nextUrl = res.data['odata.nextLink'] || null;
+  }
+
+  // SharePoint lists the newest version first
+  return versions.sort((a, b) => a.VersionId - b.VersionId);
+}
+
+// Get the list's visible field definitions (used for schema discovery)
+export async function getListFields(siteUrl, listName, token) {
+  const select = [
+    "Id",
+    "InternalName",
+    "EntityPropertyName",
+    "Title",
+    "TypeAsString",
+    "FieldTypeKind",
+    "Required",
+    "ReadOnlyField",
+    "AllowMultipleValues",
+    "LookupField",
+    "LookupList",
+    "Choices"
+  ].join(",");
+  const url = `${getListApiUrl(siteUrl, listName)}/fields?$filter=${encodeURIComponent("Hidden eq false")}&$select=${select}`;
+
+  const res = await sharePointRequest({
+    url: url,
+    token,
+    headers: getHeaders()
+  });
+
+  return res.data.value || [];
+}
+
+// Get the list's current change token (the starting point for the next delta sync)
+export async function getListChangeToken(siteUrl, listName, token) {
+  const url = `${getListApiUrl(siteUrl, listName)}?$select=CurrentChangeToken`;
+
+  const res = await sharePointRequest({
+    url: url,
+    token,
+    headers: getHeaders()
+  });
+
+  return res.data.CurrentChangeToken.StringValue;
+}
+
+/**
+ * Get item changes since a change token, reduced to the latest change per item
+ * @param {string} changeToken - Change token saved by the previous sync
+ * @returns {Promise<{upserted: number[], deleted: number[]}>} Item IDs that were
+ *   added/updated/restored and item IDs that were deleted
+ */
+export async function getListChanges(siteUrl, listName, token, changeToken) {
+  const url = `${getListApiUrl(siteUrl, listName)}/GetChanges`;
+  const latestByItem = new Map(); // itemId -> ChangeType
+  let startToken = changeToken;
+
+  // GetChanges returns a limited batch per call, so keep paging from the last token seen
+  while (true) {
+    const res = await sharePointRequest({
+      method: "post",
+      url,
+      data: {
+        query: {
+          Item: true,
+          Add: true,
+          Update: true,
+          DeleteObject: true,
+          Rename: true,
+          Move: true,
+          Restore: true,
+          ChangeTokenStart: { StringValue: startToken }
+        }
+      },
+      token,
+      headers: {
+        ...getHeaders(),
+        "Content-Type": "application/json;odata=nometadata"
+      }
+    }, {
+      // An expired token will not recover; let the caller fall back to a full scan
+      shouldRetry: err => !isChangeTokenExpired(err) && isRetryableError(err)
+    });
+
+    const changes = res.data.value || [];
+    if (changes.length === 0) break;
+
+    for (const change of changes) {
+      if (change.ItemId !== undefined) {
+        latestByItem.set(change.ItemId, change.ChangeType);
+      }
+    }
+
+    const lastToken = changes[changes.length - 1].ChangeToken?.StringValue;
+    if (!lastToken || lastToken === startToken) break;
+    startToken = lastToken;
+  }
+
+  const upserted = [];
+  const deleted = [];
+  for (const [itemId, changeType] of latestByItem.entries()) {
+    if (changeType === CHANGE_TYPE.DELETE_OBJECT || changeType === CHANGE_TYPE.MOVE_AWAY) {
+      deleted.push(itemId);
+    } else if (Object.values(CHANGE_TYPE).includes(changeType)) {
+      upserted.push(itemId);
+    }
+  }
+
+  return { upserted, deleted };
+}
+
+// SharePoint rejects change tokens older than the change log retention window
+export function isChangeTokenExpired(err) {
+  const status = err?.response?.status;
+  if (status !== 400 && status !== 500) return false;
+
+  const data = err.response.data;
+  const message = typeof data === "string"
+    ? data
+    : JSON.stringify(data || {});
+  return /change\s*token/i.test(message);
+}
+
 export async function getAttachments(siteUrl, listName, itemId, token) {
-  const url = `${siteUrl}/_api/web/lists/getbytitle('${listName}')/items(${itemId})/AttachmentFiles`;
+  const url = `${getListApiUrl(siteUrl, listName)}/items(${itemId})/AttachmentFiles`;
 
-  const res = await axios.get(url, {
-    headers: getHeaders(token)
+  const res = await sharePointRequest({
+    url: url,
+    token,
+    headers: getHeaders()
   });
 
   return res.data.value; // array of attachments
 }
 
-// Download attachment content via SharePoint REST $value endpoint
-export async function downloadAttachment(siteUrl, listName, itemId, fileName, token) {
+/**
+ * Get an item's attachments together with their size and ETag.
+ * SharePoint stores attachments as files in the item's attachment folder,
+ * which reports Length/ETag for all of them in one call.
+ * @returns {Promise<Array<{FileName: string, ServerRelativeUrl: string, Length?: number, ETag?: string, TimeLastModified?: string}>>}
+ */
+export async function getAttachmentsWithDetails(siteUrl, listName, itemId, token) {
+  const attachments = await getAttachments(siteUrl, listName, itemId, token);
+  if (!attachments || attachments.length === 0) return [];
+
+  const fileUrl = attachments[0].ServerRelativeUrl;
+  const folderUrl = fileUrl.substring(0, fileUrl.lastIndexOf("/")).replace(/'/g, "''");
+  const url = `${siteUrl}/_api/web/GetFolderByServerRelativeUrl('${encodeURIComponent(folderUrl)}')/Files?$select=Name,Length,ETag,TimeLastModified`;
+
+  const res = await sharePointRequest({
+    url,
+    token,
+    headers: getHeaders()
+  });
+
+  const detailsByName = new Map((res.data.value || []).map(file => [file.Name, file]));
+  return attachments.map(att => {
+    const details = detailsByName.get(att.FileName) || {};
+    return {
+      ...att,
+      Length: details.Length !== undefined ? Number(details.Length) : undefined,
+      ETag: details.ETag,
+      TimeLastModified: details.TimeLastModified
+    };
+  });
+}
+
+/**
+ * Open a download stream for an attachment via the SharePoint REST $value endpoint.
+ * Only opening the response is retried; the caller consumes the stream.
+ * @returns {Promise<{stream: import("stream").Readable, contentLength: number|null}>}
+ */
+export async function downloadAttachmentStream(siteUrl, listName, itemId, fileName, token) {
   // Escape single quotes for REST URL
-  const encodedListName = listName.replace(/'/g, "''");
   const encodedFileName = fileName.replace(/'/g, "''");
 
-  const url = `${siteUrl}/_api/web/lists/getbytitle('${encodedListName}')/items(${itemId})/AttachmentFiles('${encodedFileName}')/$value`;
+  const url = `${getListApiUrl(siteUrl, listName)}/items(${itemId})/AttachmentFiles('${encodedFileName}')/$value`;
 
-  const res = await axios.get(url, {
-    headers: {
-      Authorization: `Bearer ${token}`
-    },
-    responseType: "arraybuffer"
+  const res = await sharePointRequest({
+    url,
+    token,
+    responseType: "stream"
   });
 
-  return res.data; // Buffer
+  const contentLength = parseInt(res.headers["content-length"], 10);
+  return {
+    stream: res.data,
+    contentLength: Number.isFinite(contentLength) ? contentLength : null
+  };
+}
+
+/**
+ * Open a download stream for a document library file. The file is
+ * addressed by UniqueId, so a rename during the sync does not break it.
+ * @returns {Promise<{stream: import("stream").Readable, contentLength: number|null}>}
+ */
+export async function downloadFileStream(siteUrl, uniqueId, token) {
+  const url = `${siteUrl}/_api/web/GetFileById('${uniqueId}')/$value`;
+
+  const res = await sharePointRequest({
+    url,
+    token,
+    responseType: "stream"
+  });
+
+  const contentLength = parseInt(res.headers["content-length"], 10);
+  return {
+    stream: res.data,
+    contentLength: Number.isFinite(contentLength) ? contentLength : null
+  };
 }
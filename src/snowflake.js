@@ -0,0 +1,96 @@
+// src/snowflake.js
+import "dotenv/config";
+import fs from "fs";
+import { randomUUID } from "crypto";
+import axios from "axios";
+import { withRetry, httpRequest } from "./http.js";
+
+// OAuth token SPCS mounts into every service container
+const SPCS_TOKEN_PATH = "/snowflake/session/token";
+
+const POLL_INTERVAL_MS = 1000;
+
+let settings; // singleton
+
+function getSettings() {
+  if (settings) return settings;
+
+  // SPCS provides SNOWFLAKE_HOST, SNOWFLAKE_DATABASE and SNOWFLAKE_SCHEMA to services
+  const accountUrl = process.env.SNOWFLAKE_ACCOUNT_URL ||
+    (process.env.SNOWFLAKE_HOST ? `https://${process.env.SNOWFLAKE_HOST}` : null);
+  if (!accountUrl) {
+    throw new Error("SNOWFLAKE_ACCOUNT_URL (or SNOWFLAKE_HOST) must be set in .env");
+  }
+
+  settings = {
+    accountUrl: accountUrl.replace(/\/+$/, ""),
+    tokenPath: process.env.SNOWFLAKE_TOKEN_PATH || SPCS_TOKEN_PATH,
+    tokenType: process.env.SNOWFLAKE_TOKEN_TYPE || "OAUTH",
+    database: process.env.SNOWFLAKE_DATABASE,
+    schema: process.env.SNOWFLAKE_SCHEMA,
+    warehouse: process.env.SNOWFLAKE_WAREHOUSE,
+    role: process.env.SNOWFLAKE_ROLE
+  };
+  return settings;
+}
+
+// The SPCS token is refreshed on disk, so read it for every request
+function getToken({ tokenPath }) {
+  if (process.env.SNOWFLAKE_TOKEN) return process.env.SNOWFLAKE_TOKEN;
+  if (!fs.existsSync(tokenPath)) {
+    throw new Error(`SNOWFLAKE_TOKEN must be set in .env (no token found at ${tokenPath})`);
+  }
+  return fs.readFileSync(tokenPath, "utf8").trim();
+}
+
+function getHeaders(config) {
+  return {
+    Authorization: `Bearer ${getToken(config)}`,
+    "X-Snowflake-Authorization-Token-Type": config.tokenType,
+    Accept: "application/json",
+    "Content-Type": "application/json"
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run one SQL statement through the Snowflake SQL API and wait for it to finish.
+ * Retries resend the same request ID, so Snowflake never runs a statement twice.
+ * @param {string} statement - SQL text (a single statement)
+ * @returns {Promise<object>} SQL API result set
+ */
+export async function executeStatement(statement) {
+  const config = getSettings();
+  const requestId = randomUUID();
+  let attempts = 0;
+
+  const res = await withRetry("snowflake", () => axios({
+    method: "post",
+    // retry=true tells Snowflake to return the earlier result for this request ID
+    url: `${config.accountUrl}/api/v2/statements?requestId=${requestId}${attempts++ > 0 ? "&retry=true" : ""}`,
+    headers: getHeaders(config),
+    data: {
+      statement,
+      timeout: 300,
+      database: config.database,
+      schema: config.schema,
+      warehouse: config.warehouse,
+      role: config.role
+    }
+  }));
+
+  // 202: still running, poll the statement handle until it completes
+  let result = res;
+  while (result.status === 202) {
+    await sleep(POLL_INTERVAL_MS);
+    result = await httpRequest("snowflake", {
+      url: `${config.accountUrl}${result.data.statementStatusUrl}`,
+      headers: getHeaders(config)
+    });
+  }
+
+  return result.data;
+}
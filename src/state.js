@@ -1,64 +1,325 @@
 // src/state.js
 import "dotenv/config";
-import { uploadJSONToS3, downloadFromS3, checkS3ObjectExists } from "./s3.js";
+import {
+  uploadJSON,
+  uploadJSONConditional,
+  downloadObject,
+  downloadVersioned,
+  objectExists,
+  deleteObject,
+  PreconditionFailedError
+} from "./storage/index.js";
+import { logger } from "./logger.js";
 
 /**
  * State tracker for incremental sync
  * Maintains a record of all items and their last sync state
  */
 class StateTracker {
-  constructor(listName) {
+  constructor(listName, s3Prefix = process.env.S3_PREFIX || "") {
     this.listName = listName;
+    this.s3Prefix = s3Prefix;
     this.stateKey = this.getStateKey();
+    this.checkpointKey = this.getCheckpointKey();
+    this.sequenceKey = this.getSequenceKey();
     this.previousState = null;
-    this.currentState = new Map(); // itemId -> { Modified, hash, ... }
+    this.stateVersion = null; // version of sync_state.json as loaded (null = did not exist)
+    this.previousSync = null;
+    this.currentState = new Map(); // itemId -> { modified, rowHash, attachments, ... }
+    this.operations = new Map(); // itemId -> operation recorded in this run
+    this.attachmentStats = { inserts: 0, updates: 0, deletes: 0, unchanged: 0 };
+    this.previousChangeToken = null;
+    this.previousChangeTokenApi = null;
+    this.previousFullSync = null;
+    this.changeToken = null;
+    this.changeTokenApi = null;
+    this.fullSync = false;
+    this.lastSequence = 0; // last change log sequence number written
+    this.savedSequence = 0; // last sequence number written to the sequence file by this run
+    this.sequenceSave = Promise.resolve(); // last write of the sequence file, so writes land in order
   }
 
   getStateKey() {
-    const s3Prefix = process.env.S3_PREFIX || "";
-    return `${s3Prefix}list=${this.listName}/_state/sync_state.json`;
+    return `${this.s3Prefix}list=${this.listName}/_state/sync_state.json`;
+  }
+
+  getCheckpointKey() {
+    return `${this.s3Prefix}list=${this.listName}/_state/checkpoint.json`;
+  }
+
+  getSequenceKey() {
+    return `${this.s3Prefix}list=${this.listName}/_state/change_sequence.json`;
   }
 
   /**
-   * Load the previous sync state from S3
+   * Load the previous sync state from storage
    */
   async loadPreviousState() {
+    // Change log parts uploaded after the last saved state (by a sync that
+    // died before saving it) may already hold higher sequence numbers
+    const sequence = await downloadVersioned(this.sequenceKey);
+    this.lastSequence = sequence ? JSON.parse(sequence.body).lastSequence || 0 : 0;
+
     try {
-      const exists = await checkS3ObjectExists(this.stateKey);
-      if (!exists) {
-        console.log("  No previous state found - this is the first run.");
+      const stored = await downloadVersioned(this.stateKey);
+      if (!stored) {
+        logger.info("No previous state found - this is the first run.");
         this.previousState = new Map();
         return;
       }
 
-      const stateData = await downloadFromS3(this.stateKey);
-      const parsed = JSON.parse(stateData);
+      // Kept even if the file cannot be parsed, so it can be replaced
+      this.stateVersion = stored.version;
+      const parsed = JSON.parse(stored.body);
       
       // Convert array back to Map
       this.previousState = new Map(parsed.items || []);
-      console.log(`  Loaded previous state: ${this.previousState.size} items tracked.`);
+      this.previousSync = parsed.lastSync || null;
+      this.previousChangeToken = parsed.changeToken || null;
+      // States written before the Graph client existed hold REST change tokens
+      this.previousChangeTokenApi = parsed.changeTokenApi || "rest";
+      this.previousFullSync = parsed.lastFullSync || null;
+      this.lastSequence = Math.max(this.lastSequence, parsed.lastSequence || 0);
+      logger.info("Loaded previous state", { items: this.previousState.size });
     } catch (err) {
-      console.warn("  Failed to load previous state, treating as first run:", err.message);
+      logger.warn("Failed to load previous state, treating as first run", { error: err });
       this.previousState = new Map();
     }
   }
 
+  /**
+   * Load the checkpoint left by an interrupted sync, if any.
+   * Call after loadPreviousState(); checkpoints older than the last
+   * completed sync are ignored.
+   * @returns {Promise<object|null>}
+   */
+  async loadCheckpoint() {
+    try {
+      const exists = await objectExists(this.checkpointKey);
+      if (!exists) return null;
+
+      const checkpoint = JSON.parse(await downloadObject(this.checkpointKey));
+      if (this.previousSync && new Date(checkpoint.startedAt) < new Date(this.previousSync)) {
+        logger.info("Ignoring checkpoint from before the last completed sync.");
+        return null;
+      }
+      return checkpoint;
+    } catch (err) {
+      logger.warn("Failed to load checkpoint, starting a fresh sync", { error: err });
+      return null;
+    }
+  }
+
+  /**
+   * Restore the items a checkpoint recorded as already processed
+   * @param {object} checkpoint - Checkpoint returned by loadCheckpoint()
+   */
+  restoreCheckpoint(checkpoint) {
+    for (const [itemId, data] of checkpoint.items || []) {
+      this.currentState.set(itemId, data);
+    }
+    for (const [itemId, operation] of checkpoint.operations || []) {
+      this.operations.set(itemId, operation);
+    }
+    if (checkpoint.attachmentStats) {
+      this.attachmentStats = { ...this.attachmentStats, ...checkpoint.attachmentStats };
+    }
+  }
+
+  /**
+   * Copy of the items processed so far, taken synchronously while
+   * workers keep recording items
+   */
+  snapshotCheckpoint() {
+    return {
+      itemCount: this.currentState.size,
+      items: Array.from(this.currentState.entries()),
+      operations: Array.from(this.operations.entries()),
+      attachmentStats: { ...this.attachmentStats }
+    };
+  }
+
+  /**
+   * Save the progress of the running sync next to the sync state
+   * @param {object} progress - Sync mode, change tokens, pagination cursor and run details
+   * @param {object} snapshot - Processed items from snapshotCheckpoint() (defaults to now)
+   */
+  async saveCheckpoint(progress, snapshot = this.snapshotCheckpoint()) {
+    const checkpointData = {
+      listName: this.listName,
+      savedAt: new Date().toISOString(),
+      ...progress,
+      ...snapshot
+    };
+
+    await uploadJSON(this.checkpointKey, checkpointData);
+  }
+
+  /**
+   * Remove the checkpoint once a sync has completed
+   */
+  async clearCheckpoint() {
+    await deleteObject(this.checkpointKey);
+  }
+
+  /**
+   * Whether an item has already been recorded in this run
+   */
+  isRecorded(itemId) {
+    return this.currentState.has(itemId.toString());
+  }
+
   /**
    * Record an item in current state
+   * @param {object} details
+   * @param {string} [details.rowHash] - Hash of the row fields
+   * @param {Object<string, {hash: string, size?: number, skipReason?: string}>} [details.attachments] - Attachments by file name
+   * @param {'insert'|'update'|'unchanged'} [details.operation] - Operation applied in this run
+   * @param {object} [details.file] - Document library file (itemId, path, key, contentHash, ...); its
+   *   state is keyed by UniqueId instead of the item ID
+   * @param {number} [details.lastVersionId] - Newest item version written; kept from the
+   *   previous state when not given
    */
-  recordItem(itemId, modified, attachmentCount = 0) {
-    this.currentState.set(itemId.toString(), {
+  recordItem(itemId, modified, attachmentCount = 0, details = {}) {
+    const id = itemId.toString();
+    this.currentState.set(id, {
       modified: modified,
       attachmentCount: attachmentCount,
+      rowHash: details.rowHash,
+      attachments: details.attachments,
+      file: details.file,
+      lastVersionId: details.lastVersionId ?? this.previousState?.get(id)?.lastVersionId,
       lastSeen: new Date().toISOString()
     });
+
+    if (details.operation) {
+      this.operations.set(id, details.operation);
+    }
+  }
+
+  /**
+   * Compare an item's attachments with the previous sync
+   * @param {Array<{fileName: string, hash: string}>} attachments - Current attachments
+   * @param {'insert'|'update'|'unchanged'} rowOperation - Operation type of the row itself
+   * @returns {{statuses: Map<string, 'insert'|'update'|'unchanged'>, removed: Array<object>}}
+   *   Status per current file name, and previous attachments no longer present
+   */
+  diffAttachments(itemId, attachments, rowOperation) {
+    const previous = this.previousState?.get(itemId.toString());
+    const prevAttachments = previous?.attachments;
+    const statuses = new Map();
+
+    for (const att of attachments) {
+      if (!previous) {
+        statuses.set(att.fileName, 'insert');
+      } else if (!prevAttachments) {
+        // State written before attachment hashes were tracked: follow the row
+        statuses.set(att.fileName, rowOperation === 'unchanged' ? 'unchanged' : 'update');
+      } else if (!prevAttachments[att.fileName]) {
+        statuses.set(att.fileName, 'insert');
+      } else if (prevAttachments[att.fileName].hash !== att.hash) {
+        statuses.set(att.fileName, 'update');
+      } else {
+        statuses.set(att.fileName, 'unchanged');
+      }
+    }
+
+    const removed = [];
+    for (const [fileName, data] of Object.entries(prevAttachments || {})) {
+      if (!statuses.has(fileName)) {
+        removed.push({ fileName, ...data });
+      }
+    }
+
+    return { statuses, removed };
+  }
+
+  /**
+   * Count attachment-level operations for the sync statistics
+   * @param {'insert'|'update'|'delete'|'unchanged'} operation
+   */
+  recordAttachmentOperation(operation, count = 1) {
+    const key = {
+      insert: 'inserts',
+      update: 'updates',
+      delete: 'deletes',
+      unchanged: 'unchanged'
+    }[operation];
+    this.attachmentStats[key] += count;
+  }
+
+  /**
+   * Record the change token to resume delta sync from on the next run
+   * @param {string} changeToken - SharePoint change token or Graph delta link
+   * @param {boolean} fullSync - Whether this run enumerated the whole list
+   * @param {'rest'|'graph'} [api] - API the token belongs to
+   */
+  setChangeToken(changeToken, fullSync, api = "rest") {
+    this.changeToken = changeToken;
+    this.changeTokenApi = api;
+    this.fullSync = fullSync;
+  }
+
+  /**
+   * Record the last change log sequence number written by this run
+   * @param {number} sequence
+   */
+  setLastSequence(sequence) {
+    this.lastSequence = sequence;
+  }
+
+  /**
+   * Save the highest change log sequence number uploaded so far, as soon as
+   * its part is written; the next run continues after it even if this one
+   * stops before its next checkpoint
+   * @param {number} sequence
+   */
+  async saveSequence(sequence) {
+    const save = this.sequenceSave.then(async () => {
+      if (sequence <= this.savedSequence) return;
+      await uploadJSON(this.sequenceKey, { listName: this.listName, lastSequence: sequence });
+      this.savedSequence = sequence;
+    });
+    this.sequenceSave = save.catch(() => {});
+    return save;
+  }
+
+  /**
+   * Keep the previous entries of items this run did not see, as if they
+   * were unchanged (e.g. deletions held back by the deletion guard)
+   * @param {Array<string>} entryKeys - State keys of the items (`entryKey` of getDeletedItems())
+   */
+  retainItems(entryKeys) {
+    for (const entryKey of entryKeys) {
+      const data = this.previousState?.get(entryKey);
+      if (data && !this.currentState.has(entryKey)) {
+        this.currentState.set(entryKey, data);
+      }
+    }
+  }
+
+  /**
+   * Copy previous entries that were not touched in this run into the current
+   * state. Used by delta sync, where only changed items are fetched.
+   * @param {Array<number|string>} deletedIds - Items reported deleted by SharePoint
+   */
+  carryForward(deletedIds = []) {
+    if (!this.previousState) return;
+
+    const deleted = new Set(deletedIds.map(id => id.toString()));
+    for (const [itemId, data] of this.previousState.entries()) {
+      if (!this.currentState.has(itemId) && !deleted.has(itemId)) {
+        this.currentState.set(itemId, data);
+      }
+    }
   }
 
   /**
    * Determine the operation type for an item
+   * @param {string} [rowHash] - Hash of the row fields; catches edits that don't move Modified
    * @returns {'insert' | 'update' | 'unchanged'}
    */
-  getOperationType(itemId, modified) {
+  getOperationType(itemId, modified, rowHash) {
     const id = itemId.toString();
     
     if (!this.previousState || !this.previousState.has(id)) {
@@ -73,6 +334,11 @@ class StateTracker {
       return 'update'; // Item was modified
     }
 
+    // Only comparable once the previous state recorded a hash
+    if (rowHash && previous.rowHash && rowHash !== previous.rowHash) {
+      return 'update'; // Fields changed without a new Modified date
+    }
+
     return 'unchanged'; // No changes
   }
 
@@ -88,7 +354,9 @@ class StateTracker {
     for (const [itemId, data] of this.previousState.entries()) {
       if (!this.currentState.has(itemId)) {
         deleted.push({
-          itemId: parseInt(itemId),
+          // Library files are keyed by UniqueId and carry their list item ID
+          itemId: data.file ? data.file.itemId : parseInt(itemId),
+          entryKey: itemId, // key of the state entry (item ID or UniqueId)
           ...data
         });
       }
@@ -98,18 +366,45 @@ class StateTracker {
   }
 
   /**
-   * Save current state to S3 for next sync
+   * Save current state to storage for next sync
    */
   async saveCurrentState() {
+    const now = new Date().toISOString();
     const stateData = {
       listName: this.listName,
-      lastSync: new Date().toISOString(),
+      lastSync: now,
+      lastFullSync: this.fullSync ? now : this.previousFullSync,
+      changeToken: this.changeToken,
+      changeTokenApi: this.changeTokenApi,
+      lastSequence: this.lastSequence,
       itemCount: this.currentState.size,
       items: Array.from(this.currentState.entries())
     };
 
-    await uploadJSONToS3(this.stateKey, stateData);
-    console.log(`  Saved current state: ${this.currentState.size} items.`);
+    // Only replace the state this run started from; another worker may have saved a newer one
+    try {
+      this.stateVersion = await uploadJSONConditional(this.stateKey, stateData, this.stateVersion);
+    } catch (err) {
+      if (err instanceof PreconditionFailedError) {
+        throw new Error(`${this.stateKey} was changed by another worker during this sync; not overwriting it`, { cause: err });
+      }
+      throw err;
+    }
+    logger.info("Saved current state", { items: this.currentState.size });
+  }
+
+  /**
+   * Save the summary of a sync run next to the state: one file per run under
+   * `_state/runs/` (named by start time, so listings sort by run) plus a
+   * copy of the latest one as `_state/last_run.json`
+   * @param {object} summary - Run summary (see runSync)
+   */
+  async saveRunSummary(summary) {
+    const stateDir = this.stateKey.slice(0, this.stateKey.lastIndexOf("/") + 1);
+    const startedAt = summary.started_at.replace(/[:.]/g, "-");
+
+    await uploadJSON(`${stateDir}runs/${startedAt}-${summary.run_id}.json`, summary);
+    await uploadJSON(`${stateDir}last_run.json`, summary);
   }
 
   /**
@@ -121,11 +416,11 @@ class StateTracker {
     let updates = 0;
     let unchanged = 0;
 
-    for (const [itemId] of this.currentState.entries()) {
-      // Reconstruct modified date from current state (we need to pass it separately in real usage)
-      const state = this.currentState.get(itemId);
-      const opType = this.getOperationType(itemId, state.modified);
-      
+    for (const [itemId, state] of this.currentState.entries()) {
+      // Items carried forward by delta sync were not processed in this run
+      const opType = this.operations.get(itemId) ||
+        this.getOperationType(itemId, state.modified, state.rowHash);
+
       if (opType === 'insert') inserts++;
       else if (opType === 'update') updates++;
       else unchanged++;
@@ -136,7 +431,8 @@ class StateTracker {
       updates,
       deletes: deleted.length,
       unchanged,
-      total: this.currentState.size
+      total: this.currentState.size,
+      attachments: { ...this.attachmentStats }
     };
   }
 }
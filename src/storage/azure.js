@@ -0,0 +1,169 @@
+// src/storage/azure.js
+import { randomUUID } from "crypto";
+import { BlobServiceClient, StorageSharedKeyCredential } from "@azure/storage-blob";
+import { withRetry } from "../http.js";
+import { uploadInParts } from "./parts.js";
+import { PreconditionFailedError } from "./errors.js";
+
+// Retries are handled by the shared request layer (src/http.js)
+const CLIENT_OPTIONS = { retryOptions: { maxTries: 1 } };
+
+function createServiceClient({ connectionString, account, accountKey, sasToken, endpoint }) {
+  if (connectionString) {
+    return BlobServiceClient.fromConnectionString(connectionString, CLIENT_OPTIONS);
+  }
+  if (!account) {
+    throw new Error("AZURE_STORAGE_CONNECTION_STRING or AZURE_STORAGE_ACCOUNT must be set in .env");
+  }
+
+  const url = endpoint || `https://${account}.blob.core.windows.net`;
+  if (accountKey) {
+    return new BlobServiceClient(url, new StorageSharedKeyCredential(account, accountKey), CLIENT_OPTIONS);
+  }
+  if (sasToken) {
+    return new BlobServiceClient(`${url}?${sasToken.replace(/^\?/, "")}`, undefined, CLIENT_OPTIONS);
+  }
+  throw new Error("AZURE_STORAGE_KEY or AZURE_STORAGE_SAS_TOKEN must be set in .env");
+}
+
+/**
+ * Azure Blob Storage (block blobs in one container)
+ * @param {object} config
+ * @param {string} config.container - Container name
+ * @param {string} [config.connectionString] - Full connection string, or:
+ * @param {string} [config.account] - Storage account name
+ * @param {string} [config.accountKey] - Shared key
+ * @param {string} [config.sasToken] - SAS token with read/write/list/delete
+ * @param {string} [config.endpoint] - Blob endpoint override (e.g. Azurite)
+ */
+export function createAzureStorage(config) {
+  const { container } = config;
+  if (!container) {
+    throw new Error("AZURE_STORAGE_CONTAINER must be set in .env");
+  }
+
+  const containerClient = createServiceClient(config).getContainerClient(container);
+  const call = fn => withRetry("azure", fn);
+
+  // Blob URL without any SAS query string, safe to log
+  const containerUrl = new URL(containerClient.url);
+  const baseUrl = `${containerUrl.origin}${containerUrl.pathname.replace(/\/+$/, "")}`;
+
+  async function upload(key, body, contentType) {
+    const blob = containerClient.getBlockBlobClient(key);
+    await call(() => blob.upload(body, body.length, {
+      blobHTTPHeaders: { blobContentType: contentType }
+    }));
+  }
+
+  return {
+    name: "azure",
+
+    upload,
+
+    async download(key) {
+      const blob = containerClient.getBlobClient(key);
+      return call(() => blob.downloadToBuffer());
+    },
+
+    async downloadVersioned(key) {
+      const blob = containerClient.getBlobClient(key);
+      try {
+        return await call(async () => {
+          const response = await blob.download();
+          const chunks = [];
+          for await (const chunk of response.readableStreamBody) {
+            chunks.push(chunk);
+          }
+          return { body: Buffer.concat(chunks), version: response.etag };
+        });
+      } catch (err) {
+        if (err.statusCode === 404) return null;
+        throw err;
+      }
+    },
+
+    // If-Match on the ETag, or If-None-Match: * to only create the blob
+    async uploadConditional(key, body, contentType, version) {
+      const blob = containerClient.getBlockBlobClient(key);
+      try {
+        const response = await call(() => blob.upload(body, Buffer.byteLength(body), {
+          blobHTTPHeaders: { blobContentType: contentType },
+          conditions: version ? { ifMatch: version } : { ifNoneMatch: "*" }
+        }));
+        return response.etag;
+      } catch (err) {
+        // 409 (BlobAlreadyExists) answers If-None-Match on an existing blob
+        if (err.statusCode === 412 || err.statusCode === 409) {
+          throw new PreconditionFailedError(key);
+        }
+        throw err;
+      }
+    },
+
+    async exists(key) {
+      const blob = containerClient.getBlobClient(key);
+      return call(() => blob.exists());
+    },
+
+    async list(prefix) {
+      // A failed page restarts the listing, so retry the whole walk
+      return call(async () => {
+        const objects = [];
+        for await (const item of containerClient.listBlobsFlat({ prefix })) {
+          objects.push({
+            key: item.name,
+            size: item.properties.contentLength,
+            lastModified: item.properties.lastModified
+          });
+        }
+        return objects;
+      });
+    },
+
+    async delete(key) {
+      const blob = containerClient.getBlobClient(key);
+      await call(() => blob.deleteIfExists());
+    },
+
+    // Staged blocks committed as one block list; each block is retried on its own
+    async uploadStream(key, stream, contentType, options) {
+      const blob = containerClient.getBlockBlobClient(key);
+      const uploadId = randomUUID();
+      const blockIds = [];
+
+      return uploadInParts(key, stream, options, {
+        putSingle: body => upload(key, body, contentType),
+
+        async uploadPart(body, partNumber) {
+          // Block IDs must all have the same length
+          const blockId = Buffer.from(`${uploadId}-${String(partNumber).padStart(6, "0")}`).toString("base64");
+          await call(() => blob.stageBlock(blockId, body, body.length));
+          blockIds.push(blockId);
+        },
+
+        async complete() {
+          await call(() => blob.commitBlockList(blockIds, {
+            blobHTTPHeaders: { blobContentType: contentType }
+          }));
+        },
+
+        // Uncommitted blocks are discarded by Azure after a week
+        async abort() {}
+      });
+    },
+
+    // Azure garbage-collects uncommitted blocks itself
+    async abortStaleUploads() {
+      return 0;
+    },
+
+    getUrl(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    getStageUrl(prefix) {
+      return `azure://${containerUrl.host}${containerUrl.pathname.replace(/\/+$/, "")}/${prefix}`;
+    }
+  };
+}
@@ -0,0 +1,13 @@
+// src/storage/errors.js
+
+/**
+ * Thrown by uploadConditional when the object changed (or was created)
+ * since the caller read it
+ */
+export class PreconditionFailedError extends Error {
+  constructor(key) {
+    super(`Object ${key} was changed by another writer`);
+    this.name = "PreconditionFailedError";
+    this.key = key;
+  }
+}
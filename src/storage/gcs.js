@@ -0,0 +1,169 @@
+// src/storage/gcs.js
+import { randomUUID } from "crypto";
+import { Storage } from "@google-cloud/storage";
+import { withRetry } from "../http.js";
+import { uploadInParts } from "./parts.js";
+import { PreconditionFailedError } from "./errors.js";
+
+// GCS composes at most 32 source objects per request
+const MAX_COMPOSE_SOURCES = 32;
+
+// Marks temporary part objects of an unfinished upload: KEY.__part-UPLOAD_ID-00001
+const PART_MARKER = ".__part-";
+
+/**
+ * Google Cloud Storage. Credentials come from GOOGLE_APPLICATION_CREDENTIALS
+ * (or the metadata server) unless a key file is configured.
+ * @param {object} config
+ * @param {string} config.bucket - Bucket name
+ * @param {string} [config.projectId]
+ * @param {string} [config.keyFile] - Service account key file
+ * @param {string} [config.endpoint] - API endpoint override (e.g. an emulator)
+ */
+export function createGcsStorage(config) {
+  if (!config.bucket) {
+    throw new Error("GCS_BUCKET must be set in .env");
+  }
+
+  const storage = new Storage({
+    projectId: config.projectId,
+    keyFilename: config.keyFile,
+    apiEndpoint: config.endpoint,
+    // Retries are handled by the shared request layer (src/http.js)
+    retryOptions: { autoRetry: false }
+  });
+  const bucket = storage.bucket(config.bucket);
+  const call = fn => withRetry("gcs", fn);
+
+  async function upload(key, body, contentType) {
+    await call(() => bucket.file(key).save(body, { contentType, resumable: false }));
+  }
+
+  async function deleteFile(key) {
+    await call(() => bucket.file(key).delete({ ignoreNotFound: true }));
+  }
+
+  // Combine the parts into the target, 32 at a time (the target becomes the first source of the next round)
+  async function composeParts(key, partKeys, contentType) {
+    let sources = partKeys.slice(0, MAX_COMPOSE_SOURCES);
+    let rest = partKeys.slice(MAX_COMPOSE_SOURCES);
+
+    for (;;) {
+      await call(() => bucket.combine(sources.map(source => bucket.file(source)), bucket.file(key)));
+      if (rest.length === 0) break;
+      sources = [key, ...rest.slice(0, MAX_COMPOSE_SOURCES - 1)];
+      rest = rest.slice(MAX_COMPOSE_SOURCES - 1);
+    }
+    await call(() => bucket.file(key).setMetadata({ contentType }));
+  }
+
+  return {
+    name: "gcs",
+
+    upload,
+
+    async download(key) {
+      const [contents] = await call(() => bucket.file(key).download());
+      return contents;
+    },
+
+    // The generation number identifies one version of an object
+    async downloadVersioned(key) {
+      try {
+        const [metadata] = await call(() => bucket.file(key).getMetadata());
+        const [contents] = await call(() => bucket.file(key, { generation: metadata.generation }).download());
+        return { body: contents, version: String(metadata.generation) };
+      } catch (err) {
+        if (err.code === 404) return null;
+        throw err;
+      }
+    },
+
+    // ifGenerationMatch 0 means the object must not exist yet
+    async uploadConditional(key, body, contentType, version) {
+      const file = bucket.file(key);
+      try {
+        await call(() => file.save(body, {
+          contentType,
+          resumable: false,
+          preconditionOpts: { ifGenerationMatch: version ? Number(version) : 0 }
+        }));
+        return String(file.metadata.generation);
+      } catch (err) {
+        if (err.code === 412) {
+          throw new PreconditionFailedError(key);
+        }
+        throw err;
+      }
+    },
+
+    async exists(key) {
+      const [exists] = await call(() => bucket.file(key).exists());
+      return exists;
+    },
+
+    async list(prefix) {
+      const [files] = await call(() => bucket.getFiles({ prefix, autoPaginate: true }));
+      return files.map(file => ({
+        key: file.name,
+        size: Number(file.metadata.size),
+        lastModified: new Date(file.metadata.updated)
+      }));
+    },
+
+    delete: deleteFile,
+
+    // Parts are uploaded as temporary objects, composed into the target and then removed
+    async uploadStream(key, stream, contentType, options) {
+      const uploadId = randomUUID();
+      const partKeys = [];
+
+      async function removeParts() {
+        for (const partKey of partKeys) {
+          await deleteFile(partKey);
+        }
+      }
+
+      return uploadInParts(key, stream, options, {
+        putSingle: body => upload(key, body, contentType),
+
+        async uploadPart(body, partNumber) {
+          const partKey = `${key}${PART_MARKER}${uploadId}-${String(partNumber).padStart(5, "0")}`;
+          partKeys.push(partKey);
+          await upload(partKey, body, "application/octet-stream");
+        },
+
+        async complete() {
+          await composeParts(key, partKeys, contentType);
+          await removeParts();
+        },
+
+        abort: removeParts
+      });
+    },
+
+    // Part objects left behind by a killed process
+    async abortStaleUploads(prefix, olderThanMs) {
+      const cutoff = Date.now() - olderThanMs;
+      const [files] = await call(() => bucket.getFiles({ prefix, autoPaginate: true }));
+      let removed = 0;
+
+      for (const file of files) {
+        if (!file.name.includes(PART_MARKER)) continue;
+        if (new Date(file.metadata.timeCreated).getTime() >= cutoff) continue;
+
+        await deleteFile(file.name);
+        removed++;
+      }
+      return removed;
+    },
+
+    getUrl(key) {
+      return `gs://${config.bucket}/${key}`;
+    },
+
+    getStageUrl(prefix) {
+      return `gcs://${config.bucket}/${prefix}`;
+    }
+  };
+}
@@ -0,0 +1,185 @@
+// src/storage/index.js
+import { loadStorageConfig } from "../config.js";
+import { createS3Storage } from "./s3.js";
+import { createLocalStorage } from "./local.js";
+import { createAzureStorage } from "./azure.js";
+import { createGcsStorage } from "./gcs.js";
+
+import { recordBytesUploaded } from "../metrics.js";
+
+export { ObjectTooLargeError, MIN_PART_SIZE } from "./parts.js";
+export { PreconditionFailedError } from "./errors.js";
+
+const BACKENDS = {
+  s3: createS3Storage,
+  local: createLocalStorage,
+  azure: createAzureStorage,
+  gcs: createGcsStorage
+};
+
+export const STORAGE_BACKENDS = Object.keys(BACKENDS);
+
+let storage; // singleton
+
+/**
+ * The configured storage backend (STORAGE_BACKEND or the config file's
+ * `storage` block). Every backend implements:
+ *
+ *   upload(key, body, contentType, options)            -> Promise<void>
+ *   download(key)                                      -> Promise<Buffer>
+ *   downloadVersioned(key)                             -> Promise<{body, version}|null> (null if missing)
+ *   uploadConditional(key, body, contentType, version) -> Promise<string> (new version; see uploadJSONConditional)
+ *   exists(key)                                        -> Promise<boolean>
+ *   list(prefix)                                       -> Promise<Array<{key, size, lastModified}>>
+ *   delete(key)                                        -> Promise<void> (no error if missing)
+ *   uploadStream(key, stream, contentType, options)    -> Promise<{size, parts}>
+ *   abortStaleUploads(prefix, olderThanMs)             -> Promise<number>
+ *   getUrl(key)                                        -> string (for logs and metadata)
+ *   getStageUrl(prefix)                                -> string|null (Snowflake stage URL)
+ *
+ * `options` of upload and uploadStream may carry the object's `type`
+ * ("row" or "attachment", for the storage class), `tags` and `metadata`;
+ * only the S3 backend applies them.
+ */
+export function getStorage() {
+  if (storage) return storage;
+
+  const config = loadStorageConfig();
+  const create = BACKENDS[config.backend];
+  if (!create) {
+    throw new Error(`Unknown storage backend '${config.backend}' (expected ${STORAGE_BACKENDS.join(", ")})`);
+  }
+
+  storage = create(config);
+  return storage;
+}
+
+/**
+ * Upload an object
+ * @param {string} key - Object key (path)
+ * @param {Buffer|string} body - File content
+ * @param {string} contentType - MIME type (optional)
+ * @param {{type?: string, tags?: object, metadata?: object}} [options] - See getObjectOptions()
+ * @returns {Promise<void>}
+ */
+export async function uploadObject(key, body, contentType = "application/octet-stream", options = {}) {
+  const storage = getStorage();
+  await storage.upload(key, body, contentType, options);
+  recordBytesUploaded(storage.name, Buffer.byteLength(body));
+}
+
+/**
+ * Upload JSON data
+ * @param {string} key - Object key (path)
+ * @param {object} data - JSON object to upload
+ * @param {{type?: string, tags?: object, metadata?: object}} [options] - See getObjectOptions()
+ * @returns {Promise<void>}
+ */
+export async function uploadJSON(key, data, options = {}) {
+  const jsonString = JSON.stringify(data, null, 2);
+  await uploadObject(key, jsonString, "application/json", options);
+}
+
+/**
+ * Download an object
+ * @param {string} key - Object key (path)
+ * @returns {Promise<Buffer>}
+ */
+export async function downloadObject(key) {
+  return getStorage().download(key);
+}
+
+/**
+ * Download an object together with its version (ETag or generation)
+ * @param {string} key - Object key (path)
+ * @returns {Promise<{body: Buffer, version: string}|null>} null if the object does not exist
+ */
+export async function downloadVersioned(key) {
+  return getStorage().downloadVersioned(key);
+}
+
+/**
+ * Upload JSON data only if the object is still at the given version, so a
+ * writer working from an old copy cannot overwrite a newer one
+ * @param {string} key - Object key (path)
+ * @param {object} data - JSON object to upload
+ * @param {string|null} version - Version the caller read, or null to only create the object
+ * @returns {Promise<string>} The new version
+ * @throws {PreconditionFailedError} If the object changed or already exists
+ */
+export async function uploadJSONConditional(key, data, version) {
+  const storage = getStorage();
+  const body = JSON.stringify(data, null, 2);
+  const newVersion = await storage.uploadConditional(key, body, "application/json", version);
+  recordBytesUploaded(storage.name, Buffer.byteLength(body));
+  return newVersion;
+}
+
+/**
+ * Check if an object exists
+ * @param {string} key - Object key (path)
+ * @returns {Promise<boolean>}
+ */
+export async function objectExists(key) {
+  return getStorage().exists(key);
+}
+
+/**
+ * List the objects under a prefix
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<Array<{key: string, size: number, lastModified: Date}>>}
+ */
+export async function listObjects(prefix) {
+  return getStorage().list(prefix);
+}
+
+/**
+ * Delete an object (no error if it does not exist)
+ * @param {string} key - Object key (path)
+ * @returns {Promise<void>}
+ */
+export async function deleteObject(key) {
+  await getStorage().delete(key);
+}
+
+/**
+ * Stream data into an object without buffering the whole object. Large
+ * streams are sent in parts that are retried individually; a failed upload
+ * is cleaned up so no incomplete parts are left behind.
+ * @param {string} key - Object key (path)
+ * @param {import("stream").Readable} stream - Data to upload
+ * @param {string} contentType - MIME type (optional)
+ * @param {object} options
+ * @param {number} [options.partSize] - Part size in bytes (min 5 MiB)
+ * @param {number} [options.maxBytes] - Abort with ObjectTooLargeError above this size (0 = no limit)
+ * @param {string} [options.type] - Object type, tags and metadata (see getObjectOptions())
+ * @param {object} [options.tags]
+ * @param {object} [options.metadata]
+ * @returns {Promise<{size: number, parts: number}>}
+ */
+export async function uploadStream(key, stream, contentType = "application/octet-stream", options = {}) {
+  const storage = getStorage();
+  const result = await storage.uploadStream(key, stream, contentType, options);
+  recordBytesUploaded(storage.name, result.size);
+  return result;
+}
+
+/**
+ * Clean up partial uploads under a prefix that were started before a cutoff
+ * (left behind by a crash or killed container)
+ * @param {string} prefix - Key prefix to clean up
+ * @param {number} olderThanMs - Only remove uploads started longer ago than this
+ * @returns {Promise<number>} Number of uploads removed
+ */
+export async function abortStaleUploads(prefix, olderThanMs) {
+  return getStorage().abortStaleUploads(prefix, olderThanMs);
+}
+
+/**
+ * Full URL of an object, e.g. s3://bucket/key
+ * @param {string} key - Object key (path)
+ * @returns {string}
+ */
+export function getObjectUrl(key) {
+  return getStorage().getUrl(key);
+}
@@ -0,0 +1,203 @@
+// src/storage/local.js
+import fs from "fs";
+import path from "path";
+import { randomUUID, createHash } from "crypto";
+import { pipeline } from "stream/promises";
+import { Transform } from "stream";
+import { ObjectTooLargeError } from "./parts.js";
+import { PreconditionFailedError } from "./errors.js";
+
+// Suffix of files still being written; renamed into place once complete
+const PARTIAL_SUFFIX = ".partial";
+
+/**
+ * Local filesystem, for development and tests. Keys map to paths under
+ * `root`; writes go to a temporary file first so readers never see half an
+ * object.
+ * @param {object} config
+ * @param {string} config.path - Root directory
+ */
+export function createLocalStorage(config) {
+  const root = path.resolve(config.path || "./data");
+
+  function resolveKey(key) {
+    const filePath = path.resolve(root, key);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      throw new Error(`Key ${key} resolves outside of ${root}`);
+    }
+    return filePath;
+  }
+
+  function getPartialPath(filePath) {
+    return `${filePath}.${randomUUID()}${PARTIAL_SUFFIX}`;
+  }
+
+  async function walk(dir) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await walk(entryPath));
+      } else {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  }
+
+  // Files have no ETag; a content hash stands in for the version
+  function getVersion(body) {
+    return createHash("sha256").update(body).digest("hex");
+  }
+
+  async function readIfExists(filePath) {
+    try {
+      return await fs.promises.readFile(filePath);
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  // Every file under the directory that holds `prefix`, matched by key
+  async function listFiles(prefix) {
+    const slash = prefix.lastIndexOf("/");
+    const dir = slash >= 0 ? resolveKey(prefix.slice(0, slash + 1)) : root;
+    const files = await walk(dir);
+    return files
+      .map(filePath => ({ filePath, key: path.relative(root, filePath).split(path.sep).join("/") }))
+      .filter(({ key }) => key.startsWith(prefix));
+  }
+
+  return {
+    name: "local",
+
+    async upload(key, body) {
+      const filePath = resolveKey(key);
+      const partialPath = getPartialPath(filePath);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(partialPath, body);
+      await fs.promises.rename(partialPath, filePath);
+    },
+
+    async download(key) {
+      return fs.promises.readFile(resolveKey(key));
+    },
+
+    async downloadVersioned(key) {
+      const body = await readIfExists(resolveKey(key));
+      return body ? { body, version: getVersion(body) } : null;
+    },
+
+    // Only guards against writers on the same host (the compare and the rename are two steps)
+    async uploadConditional(key, body, contentType, version) {
+      const filePath = resolveKey(key);
+      const partialPath = getPartialPath(filePath);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(partialPath, body);
+
+      try {
+        if (!version) {
+          // A hard link fails if the file exists, so only one writer creates it
+          await fs.promises.link(partialPath, filePath).catch(err => {
+            throw err.code === "EEXIST" ? new PreconditionFailedError(key) : err;
+          });
+        } else {
+          const current = await readIfExists(filePath);
+          if (!current || getVersion(current) !== version) {
+            throw new PreconditionFailedError(key);
+          }
+          await fs.promises.rename(partialPath, filePath);
+        }
+      } finally {
+        await fs.promises.rm(partialPath, { force: true });
+      }
+      return getVersion(body);
+    },
+
+    async exists(key) {
+      try {
+        const stat = await fs.promises.stat(resolveKey(key));
+        return stat.isFile();
+      } catch (err) {
+        if (err.code === "ENOENT") return false;
+        throw err;
+      }
+    },
+
+    async list(prefix) {
+      const objects = [];
+      for (const { filePath, key } of await listFiles(prefix)) {
+        if (key.endsWith(PARTIAL_SUFFIX)) continue;
+        const stat = await fs.promises.stat(filePath);
+        objects.push({ key, size: stat.size, lastModified: stat.mtime });
+      }
+      return objects.sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    async uploadStream(key, stream, contentType, options = {}) {
+      const filePath = resolveKey(key);
+      const partialPath = getPartialPath(filePath);
+      const maxBytes = options.maxBytes || 0;
+      let size = 0;
+
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          if (maxBytes && size > maxBytes) {
+            callback(new ObjectTooLargeError(key, maxBytes));
+            return;
+          }
+          callback(null, chunk);
+        }
+      });
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        await pipeline(stream, counter, fs.createWriteStream(partialPath));
+        await fs.promises.rename(partialPath, filePath);
+      } catch (err) {
+        await fs.promises.rm(partialPath, { force: true });
+        throw err;
+      }
+      return { size, parts: 1 };
+    },
+
+    // Partial files left behind by a killed process
+    async abortStaleUploads(prefix, olderThanMs) {
+      const cutoff = Date.now() - olderThanMs;
+      let removed = 0;
+
+      for (const { filePath, key } of await listFiles(prefix)) {
+        if (!key.endsWith(PARTIAL_SUFFIX)) continue;
+        const stat = await fs.promises.stat(filePath);
+        if (stat.mtimeMs >= cutoff) continue;
+
+        await fs.promises.rm(filePath, { force: true });
+        removed++;
+      }
+      return removed;
+    },
+
+    getUrl(key) {
+      return `file://${resolveKey(key)}`;
+    },
+
+    // Snowflake cannot read from a local directory
+    getStageUrl() {
+      return null;
+    }
+  };
+}
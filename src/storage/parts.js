@@ -0,0 +1,87 @@
+// src/storage/parts.js
+import { logger } from "../logger.js";
+
+/**
+ * Thrown by uploadStream when a stream is larger than the allowed size
+ */
+export class ObjectTooLargeError extends Error {
+  constructor(key, maxBytes) {
+    super(`Object ${key} exceeds the maximum size of ${maxBytes} bytes`);
+    this.name = "ObjectTooLargeError";
+    this.key = key;
+    this.maxBytes = maxBytes;
+  }
+}
+
+// Smallest part size S3 accepts for every part but the last
+export const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Split a stream into parts without buffering the whole object. Streams
+ * smaller than one part go through `putSingle`; larger ones are sent part by
+ * part and finished with `complete`, or cleaned up with `abort` on failure.
+ * @param {string} key - Object key (for error messages)
+ * @param {import("stream").Readable} stream - Data to upload
+ * @param {object} options
+ * @param {number} [options.partSize] - Part size in bytes (min 5 MiB)
+ * @param {number} [options.maxBytes] - Abort with ObjectTooLargeError above this size (0 = no limit)
+ * @param {object} handlers - Backend operations
+ * @param {(body: Buffer) => Promise<void>} handlers.putSingle
+ * @param {(body: Buffer, partNumber: number) => Promise<void>} handlers.uploadPart - Part numbers start at 1
+ * @param {(partCount: number) => Promise<void>} handlers.complete
+ * @param {() => Promise<void>} handlers.abort - Only called after at least one part was sent
+ * @returns {Promise<{size: number, parts: number}>}
+ */
+export async function uploadInParts(key, stream, options, handlers) {
+  const partSize = Math.max(options.partSize || MIN_PART_SIZE, MIN_PART_SIZE);
+  const maxBytes = options.maxBytes || 0;
+
+  let partCount = 0;
+  let chunks = [];
+  let buffered = 0;
+  let size = 0;
+
+  try {
+    for await (const chunk of stream) {
+      size += chunk.length;
+      if (maxBytes && size > maxBytes) {
+        throw new ObjectTooLargeError(key, maxBytes);
+      }
+
+      chunks.push(chunk);
+      buffered += chunk.length;
+
+      // Only one part is held in memory at a time
+      while (buffered >= partSize) {
+        const data = Buffer.concat(chunks);
+        await handlers.uploadPart(data.subarray(0, partSize), ++partCount);
+        chunks = [data.subarray(partSize)];
+        buffered = data.length - partSize;
+      }
+    }
+
+    const remainder = Buffer.concat(chunks);
+
+    if (partCount === 0) {
+      // Fits in a single part: plain upload
+      await handlers.putSingle(remainder);
+      return { size, parts: 1 };
+    }
+
+    if (remainder.length > 0) {
+      await handlers.uploadPart(remainder, ++partCount);
+    }
+
+    await handlers.complete(partCount);
+    return { size, parts: partCount };
+  } catch (err) {
+    stream.destroy();
+
+    if (partCount > 0) {
+      await handlers.abort().catch(abortErr => {
+        logger.warn("Failed to abort upload", { key, error: abortErr });
+      });
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,326 @@
+// src/storage/s3.js
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListMultipartUploadsCommand
+} from "@aws-sdk/client-s3";
+import { withRetry } from "../http.js";
+import { uploadInParts } from "./parts.js";
+import { PreconditionFailedError } from "./errors.js";
+
+// Values accepted for S3_SSE
+const SSE_MODES = ["AES256", "aws:kms", "aws:kms:dsse"];
+
+function createS3Client({ region, accessKeyId, secretAccessKey, endpoint, forcePathStyle }) {
+  if (!region) {
+    throw new Error("AWS_REGION must be set in .env");
+  }
+
+  // AWS SDK will automatically use credentials from environment variables
+  // or from IAM role if running on EC2/ECS/Lambda.
+  // Retries are handled by the shared request layer (src/http.js), so the
+  // SDK's own retry strategy is disabled to avoid retrying twice.
+  const config = { region, maxAttempts: 1 };
+
+  // S3-compatible stores (MinIO, Ceph, ...) usually need path-style URLs
+  if (endpoint) config.endpoint = endpoint;
+  if (forcePathStyle) config.forcePathStyle = true;
+
+  // Only add explicit credentials if provided (otherwise use IAM role)
+  if (accessKeyId && secretAccessKey) {
+    config.credentials = {
+      accessKeyId,
+      secretAccessKey
+    };
+  }
+
+  return new S3Client(config);
+}
+
+// Encryption settings sent with every new object
+function getEncryptionParams({ serverSideEncryption, kmsKeyId, bucketKeyEnabled }) {
+  if (!serverSideEncryption) {
+    if (kmsKeyId || bucketKeyEnabled) {
+      throw new Error("S3_SSE_KMS_KEY_ID and S3_BUCKET_KEY_ENABLED need S3_SSE=aws:kms");
+    }
+    return {};
+  }
+  if (!SSE_MODES.includes(serverSideEncryption)) {
+    throw new Error(`S3_SSE must be one of ${SSE_MODES.join(", ")}`);
+  }
+
+  const kms = serverSideEncryption.startsWith("aws:kms");
+  if (!kms && (kmsKeyId || bucketKeyEnabled)) {
+    throw new Error("S3_SSE_KMS_KEY_ID and S3_BUCKET_KEY_ENABLED need S3_SSE=aws:kms");
+  }
+  return {
+    ServerSideEncryption: serverSideEncryption,
+    ...(kmsKeyId && { SSEKMSKeyId: kmsKeyId }),
+    ...(bucketKeyEnabled && { BucketKeyEnabled: true })
+  };
+}
+
+// Tag keys and values allow letters, digits, spaces and + - = . _ : / @
+function toTagText(value, maxLength) {
+  return String(value).replace(/[^\p{L}\p{N}\p{Zs}+\-=._:/@]/gu, "_").slice(0, maxLength);
+}
+
+// Metadata travels in headers; other characters are percent-encoded
+function toMetadataValue(value) {
+  const text = String(value);
+  return /^[\x20-\x7e]*$/.test(text) ? text : encodeURIComponent(text);
+}
+
+/**
+ * Amazon S3 or an S3-compatible endpoint (`endpoint`/STORAGE_ENDPOINT or
+ * AWS_ENDPOINT_URL_S3). Objects are written with the configured server-side
+ * encryption; rows and attachments get their own storage class.
+ * @param {object} config
+ * @param {string} config.bucket - Bucket name
+ * @param {string} config.region - AWS region
+ * @param {string} [config.accessKeyId] - Explicit credentials (otherwise the default chain)
+ * @param {string} [config.secretAccessKey]
+ * @param {string} [config.endpoint] - Endpoint of an S3-compatible store
+ * @param {boolean} [config.forcePathStyle] - Address the bucket in the path instead of the host name
+ * @param {string} [config.serverSideEncryption] - AES256, aws:kms or aws:kms:dsse
+ * @param {string} [config.kmsKeyId] - KMS key for aws:kms (otherwise the AWS managed key)
+ * @param {boolean} [config.bucketKeyEnabled] - Use an S3 Bucket Key for aws:kms
+ * @param {string} [config.rowStorageClass] - Storage class of row objects
+ * @param {string} [config.attachmentStorageClass] - Storage class of attachments and library files
+ */
+export function createS3Storage(config) {
+  const { bucket } = config;
+  if (!bucket) {
+    throw new Error("S3_BUCKET must be set in .env");
+  }
+
+  const client = createS3Client(config);
+  const send = command => withRetry("s3", () => client.send(command));
+  const encryption = getEncryptionParams(config);
+  const storageClasses = {
+    row: config.rowStorageClass,
+    attachment: config.attachmentStorageClass
+  };
+
+  // Encryption, storage class, tags and metadata of a new object
+  function getObjectParams(options = {}) {
+    const params = { ...encryption };
+
+    const storageClass = storageClasses[options.type];
+    if (storageClass) params.StorageClass = storageClass;
+
+    const tags = Object.entries(options.tags || {});
+    if (tags.length > 0) {
+      params.Tagging = new URLSearchParams(tags.map(([key, value]) => [toTagText(key, 128), toTagText(value, 256)])).toString();
+    }
+
+    const metadata = Object.entries(options.metadata || {});
+    if (metadata.length > 0) {
+      params.Metadata = Object.fromEntries(metadata.map(([key, value]) => [key.toLowerCase(), toMetadataValue(value)]));
+    }
+    return params;
+  }
+
+  async function upload(key, body, contentType, options) {
+    await send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      ...getObjectParams(options)
+    }));
+  }
+
+  function read(key) {
+    const command = new GetObjectCommand({ Bucket: bucket, Key: key });
+
+    // Reading the body is part of the attempt, so a dropped stream is retried too
+    return withRetry("s3", async () => {
+      const response = await client.send(command);
+
+      // Convert stream to buffer
+      const chunks = [];
+      for await (const chunk of response.Body) {
+        chunks.push(chunk);
+      }
+      return { body: Buffer.concat(chunks), etag: response.ETag };
+    });
+  }
+
+  return {
+    name: "s3",
+
+    upload,
+
+    async download(key) {
+      return (await read(key)).body;
+    },
+
+    async downloadVersioned(key) {
+      try {
+        const { body, etag } = await read(key);
+        return { body, version: etag };
+      } catch (err) {
+        if (err.name === "NoSuchKey" || err.$metadata?.httpStatusCode === 404) {
+          return null;
+        }
+        throw err;
+      }
+    },
+
+    // If-Match on the ETag, or If-None-Match: * to only create the object
+    async uploadConditional(key, body, contentType, version) {
+      try {
+        const result = await send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          ...encryption,
+          ...(version ? { IfMatch: version } : { IfNoneMatch: "*" })
+        }));
+        return result.ETag;
+      } catch (err) {
+        // 409: a concurrent conditional write to the same key won
+        const status = err.$metadata?.httpStatusCode;
+        if (status === 412 || status === 409) {
+          throw new PreconditionFailedError(key);
+        }
+        throw err;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (err) {
+        if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) {
+          return false;
+        }
+        throw err;
+      }
+    },
+
+    async list(prefix) {
+      const objects = [];
+      let continuationToken;
+
+      do {
+        const res = await send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        }));
+
+        for (const object of res.Contents || []) {
+          objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+        }
+        continuationToken = res.IsTruncated ? res.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return objects;
+    },
+
+    async delete(key) {
+      await send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    // Multipart upload whose parts are retried individually
+    async uploadStream(key, stream, contentType, options) {
+      let uploadId = null;
+      const completedParts = [];
+
+      return uploadInParts(key, stream, options, {
+        putSingle: body => upload(key, body, contentType, options),
+
+        async uploadPart(body, partNumber) {
+          if (!uploadId) {
+            const created = await send(new CreateMultipartUploadCommand({
+              Bucket: bucket,
+              Key: key,
+              ContentType: contentType,
+              ...getObjectParams(options)
+            }));
+            uploadId = created.UploadId;
+          }
+
+          const result = await send(new UploadPartCommand({
+            Bucket: bucket,
+            Key: key,
+            UploadId: uploadId,
+            PartNumber: partNumber,
+            Body: body
+          }));
+          completedParts.push({ ETag: result.ETag, PartNumber: partNumber });
+        },
+
+        async complete() {
+          await send(new CompleteMultipartUploadCommand({
+            Bucket: bucket,
+            Key: key,
+            UploadId: uploadId,
+            MultipartUpload: { Parts: completedParts }
+          }));
+        },
+
+        async abort() {
+          if (!uploadId) return;
+          await send(new AbortMultipartUploadCommand({
+            Bucket: bucket,
+            Key: key,
+            UploadId: uploadId
+          }));
+        }
+      });
+    },
+
+    async abortStaleUploads(prefix, olderThanMs) {
+      const cutoff = Date.now() - olderThanMs;
+      let keyMarker;
+      let uploadIdMarker;
+      let aborted = 0;
+
+      do {
+        const res = await send(new ListMultipartUploadsCommand({
+          Bucket: bucket,
+          Prefix: prefix,
+          KeyMarker: keyMarker,
+          UploadIdMarker: uploadIdMarker
+        }));
+
+        for (const upload of res.Uploads || []) {
+          if (new Date(upload.Initiated).getTime() >= cutoff) continue;
+
+          await send(new AbortMultipartUploadCommand({
+            Bucket: bucket,
+            Key: upload.Key,
+            UploadId: upload.UploadId
+          }));
+          aborted++;
+        }
+
+        keyMarker = res.IsTruncated ? res.NextKeyMarker : undefined;
+        uploadIdMarker = res.IsTruncated ? res.NextUploadIdMarker : undefined;
+      } while (keyMarker);
+
+      return aborted;
+    },
+
+    getUrl(key) {
+      return `s3://${bucket}/${key}`;
+    },
+
+    getStageUrl(prefix) {
+      return `s3://${bucket}/${prefix}`;
+    }
+  };
+}
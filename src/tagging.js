@@ -0,0 +1,53 @@
+// src/tagging.js
+
+/**
+ * Resolve one `{name}` template. Built-in names (listName, targetName,
+ * siteUrl, itemId, sourceUrl) come first, then the item's fields. Only text,
+ * numbers and booleans are filled in; anything else resolves to "".
+ */
+function resolveTemplate(template, values) {
+  return template.replace(/\{([^{}]+)\}/g, (_, name) => {
+    const value = values[name.trim()];
+    return typeof value === "string" || typeof value === "number" || typeof value === "boolean"
+      ? String(value)
+      : "";
+  }).trim();
+}
+
+function resolveTemplates(templates, values) {
+  const resolved = {};
+  for (const [key, template] of Object.entries(templates)) {
+    const value = resolveTemplate(template, values);
+    // Empty values are left out (e.g. item fields on a batch file)
+    if (value) resolved[key] = value;
+  }
+  return resolved;
+}
+
+/**
+ * Upload options of an object: its type (which picks the storage class)
+ * and the target's objectTags/objectMetadata filled in for it
+ * @param {object} target - Sync target (see config.js)
+ * @param {"row"|"attachment"} type - Rows, versions and batch files are "row"; attachments and library files "attachment"
+ * @param {object} [context]
+ * @param {object} [context.item] - Item fields, after the raw field rules so dropped or masked values stay out of tags
+ * @param {number} [context.itemId]
+ * @param {string} [context.sourceUrl] - SharePoint URL the object was read from
+ * @returns {{type: string, tags: object, metadata: object}}
+ */
+export function getObjectOptions(target, type, context = {}) {
+  const values = {
+    ...context.item,
+    listName: target.listName,
+    targetName: target.name,
+    siteUrl: target.siteUrl,
+    itemId: context.itemId,
+    sourceUrl: context.sourceUrl
+  };
+
+  return {
+    type,
+    tags: resolveTemplates(target.objectTags, values),
+    metadata: resolveTemplates(target.objectMetadata, values)
+  };
+}